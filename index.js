@@ -4,10 +4,45 @@ const cors = require("cors");
 const Redis = require("redis");
 const Stripe = require("stripe");
 const crypto = require("crypto");
+const { SPORTS, createOddsProvider, createCreditBudget, createOddsService, findOutcome, findValueBets, shopLines } = require("./lib/odds");
+const { normalizeEmail, createUserRepo, createOAuthStateStore } = require("./lib/users");
+const { TokenError, createTokenService, createOneTimeTokenStore } = require("./lib/tokens");
+const { hashPassword, verifyPassword, burnVerify, checkPasswordStrength } = require("./lib/passwords");
+const { createMailer } = require("./lib/mailer");
+const { JournalError, createJournalStore } = require("./lib/journal");
+const { betProfit, computeAnalytics } = require("./lib/analytics");
+const { createBetImporter } = require("./lib/betImport");
+const { createPickLedger } = require("./lib/ledger");
+const { STRATEGIES, StakingError, validatePlan, recommendStake, bankrollFrom } = require("./lib/staking");
+const { clvStats, createClvTracker } = require("./lib/clv");
+const { createScoresProvider, createCachedScores, createSettlementJob } = require("./lib/settlement");
+const { createSteamDetector } = require("./lib/steam");
+const { createArbScanner } = require("./lib/arbitrage");
+const { createEventBus, shouldDeliver } = require("./lib/realtime");
+const { EVENTS: NOTIFY_EVENTS, NotificationError, createNotifier } = require("./lib/notifications");
+const { ParlayError, priceParlay } = require("./lib/parlay");
+const { WEATHER_SPORTS, createWeatherService } = require("./lib/weather");
+const { createAuditLog } = require("./lib/audit");
+const { toCsv } = require("./lib/csv");
+const { ENTITLED_STATUSES, createBillingSync } = require("./lib/billing");
+const { PromoError, createPromoStore } = require("./lib/promos");
+const { createReferralProgram } = require("./lib/referrals");
+const { EntitlementError, loadTiers, createEntitlements } = require("./lib/entitlements");
+const { isTimeZone, createRateLimiter, createQuotaStore } = require("./lib/limits");
 
 const app = express();
+// Render (and most hosts) sit one proxy hop in front; req.ip must be the client's
+// address for per-IP rate limits
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
 app.use(cors({ origin: (origin, cb) => cb(null, true), credentials: true }));
-app.use(express.json());
+// The Stripe webhook verifies its signature against the raw body
+const jsonParser = express.json();
+// Bet history uploads carry a whole spreadsheet in the body
+const importParser = express.json({ limit: '5mb' });
+app.use((req, res, next) => {
+  if (req.path === '/stripe/webhook') return next();
+  (req.path === '/bets/import/preview' ? importParser : jsonParser)(req, res, next);
+});
 
 // Initialize Stripe
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
@@ -18,6 +53,32 @@ const redis = Redis.createClient({
 });
 redis.connect().catch(console.error);
 
+// Odds engine (ODDS_PROVIDER=stub serves fixtures/odds.json for offline runs).
+// Every fresh pull is snapshotted for steam detection and new picks, steam
+// moves and arbs are published to /stream subscribers on every instance and
+// routed to users' notification channels.
+const bus = createEventBus({ redis });
+const steam = createSteamDetector({ redis });
+// Odds and scores pulls share the provider's monthly credits
+const oddsCredits = createCreditBudget({ redis, monthlyCredits: Number(process.env.ODDS_MONTHLY_CREDITS || 500) });
+const odds = createOddsService({
+  redis,
+  provider: createOddsProvider(),
+  budget: oddsCredits,
+  onFetch: async (sport, events) => {
+    const picks = findValueBets(events, sport);
+    // The ledger is written only here, at prices across every book; /scan
+    // prices picks at each user's own books
+    await ledger.record(picks).catch(e => console.error('Pick ledger write failed:', e.message));
+    await notifier.dispatch('steam', await bus.publishNew('steam', await steam.record(sport, events)));
+    await notifier.dispatch('pick', await bus.publishNew('pick', picks));
+    await notifier.dispatch('arb', await bus.publishNew('arb', await arbs.detect(sport, events)));
+  }
+});
+
+// Forecasts for outdoor venues (WEATHER_PROVIDER=stub serves fixtures/weather.json)
+const weather = createWeatherService({ redis, odds });
+
 // OAuth Config
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
@@ -25,90 +86,184 @@ const FACEBOOK_APP_ID = process.env.FACEBOOK_APP_ID;
 const FACEBOOK_APP_SECRET = process.env.FACEBOOK_APP_SECRET;
 const FRONTEND_URL = process.env.FRONTEND_URL || "https://grandrichlife727-design.github.io/edgebet-ai";
 
-// Membership Tiers
-const TIERS = {
-  FREE: {
-    name: 'Free',
-    picksPerDay: 2,
-    features: ['basic_picks', 'ev_calculator', 'journal'],
-    price: 0,
-    stripePriceId: null
-  },
-  PRO: {
-    name: 'Pro',
-    picksPerDay: 999,
-    features: ['all_picks', 'ev_calculator', 'parlay_builder', 'line_shopping', 'journal', 'steam_moves', 'analytics'],
-    price: 1999,
-    stripePriceId: process.env.STRIPE_PRICE_PRO
+// Membership tiers: features and limits live in config/tiers.json
+const TIERS = loadTiers();
+const entitlements = createEntitlements({ tiers: TIERS });
+
+// Data stores (Redis-backed so tiers and Stripe ids survive restarts)
+const users = createUserRepo({ redis });
+const oauthStates = createOAuthStateStore({ redis });
+const tokens = createTokenService({ redis, secret: process.env.AUTH_TOKEN_SECRET });
+const oneTimeTokens = createOneTimeTokenStore({ redis });
+const mailer = createMailer();
+const notifier = createNotifier({
+  redis,
+  users,
+  mailer,
+  getFeatures: async (userId) => entitlements.resolve(await users.get(userId)).features
+});
+const promos = createPromoStore({ redis, stripe, tiers: TIERS });
+const referrals = createReferralProgram({
+  redis,
+  stripe,
+  users,
+  entitlements,
+  onReward: async (user, reward) => {
+    if (reward.via === 'override') await notifier.syncDiscordRole(user);
+    if (!user.email) return;
+    const what = reward.type === 'coupon' ? 'a discount on your subscription' : `${reward.days} free days`;
+    await mailer.send({
+      to: user.email,
+      subject: 'You earned an EdgeBet referral reward',
+      text: reward.role === 'referrer'
+        ? `Someone you invited just subscribed, so you've earned ${what}. Thanks for spreading the word!`
+        : `Thanks for joining through a referral: you've earned ${what}.`
+    });
+  }
+});
+const billing = createBillingSync({
+  redis,
+  stripe,
+  users,
+  tiers: TIERS,
+  onTierChange: async (user, previousTier, reason) => {
+    await notifier.syncDiscordRole(user);
+    // Announce new paid subscribers in the team Discord
+    if (reason === 'checkout.session.completed' && process.env.DISCORD_WEBHOOK_URL) {
+      await notifier.enqueue({
+        channel: 'discord',
+        target: { webhookUrl: process.env.DISCORD_WEBHOOK_URL },
+        message: { subject: `🎉 New ${user.tier} subscriber`, text: `${user.email} (${user.provider || 'email'})` }
+      });
+    }
   },
-  SHARP: {
-    name: 'Sharp',
-    picksPerDay: 999,
-    features: ['all_picks', 'ev_calculator', 'parlay_builder', 'line_shopping', 'journal', 'steam_moves', 'analytics', 'weather', 'arb_alerts', 'discord_access', 'priority_support'],
-    price: 4999,
-    stripePriceId: process.env.STRIPE_PRICE_SHARP
+  onTrialEnding: (user, trialEnd) => user.email && mailer.send({
+    to: user.email,
+    subject: 'Your EdgeBet trial ends soon',
+    text: `Your free trial ends on ${new Date(trialEnd).toDateString()}. Your plan continues automatically unless you cancel before then.`
+  }),
+  onPaymentFailed: (user) => user.email && mailer.send({
+    to: user.email,
+    subject: 'EdgeBet payment failed',
+    text: `We couldn't charge your card for EdgeBet ${user.plan}. Update your payment method in the billing portal to keep your features.`
+  }),
+  onCheckoutCompleted: (user, session) => session.metadata?.promoCode && promos.recordRedemption(session.metadata.promoCode, user.id),
+  onInvoicePaid: (user, invoice) => referrals.handlePaidInvoice(user, invoice)
+});
+const rateLimiter = createRateLimiter({ redis });
+const quotas = createQuotaStore({ redis });
+const audit = createAuditLog({ redis });
+const journal = createJournalStore({ redis });
+const clv = createClvTracker({ redis, odds, journal });
+const betImporter = createBetImporter({ redis, journal });
+const arbs = createArbScanner({ redis, odds });
+const scores = createCachedScores({ redis, scores: createScoresProvider(), budget: oddsCredits });
+// Every pick the model issues, graded for the public track record
+const ledger = createPickLedger({ redis, scores });
+const settlement = createSettlementJob({
+  redis,
+  journal,
+  scores,
+  onSettled: async (journalId, bet) => {
+    await clv.capture(journalId, bet);
+    await refreshBankroll(journalId);
+    // Guest journals have no account to notify
+    const owner = await users.get(journalId);
+    if (owner) await notifier.notifyUser(owner, 'bet_settled', bet);
   }
-};
-
-// Data stores
-const users = new Map();
-const oauthStates = new Map();
+});
 
 // ── MIDDLEWARE ────────────────────────────────────────────────────────────────
 async function authMiddleware(req, res, next) {
   const token = req.headers.authorization?.replace('Bearer ', '');
   if (!token) return res.status(401).json({ error: 'No token' });
   
-  const userId = token.replace('token_', '');
-  const user = users.get(userId);
+  let claims, user;
+  try {
+    claims = await tokens.verify(token);
+    user = await users.get(claims.sub);
+  } catch (e) {
+    if (e instanceof TokenError) return res.status(401).json({ error: 'Invalid token' });
+    console.error('Auth lookup failed:', e.message);
+    return res.status(503).json({ error: 'Auth unavailable' });
+  }
   if (!user) return res.status(401).json({ error: 'Invalid token' });
   
   req.user = user;
+  req.auth = claims;
   next();
 }
 
-// ── GOOGLE OAUTH ──────────────────────────────────────────────────────────────
-app.get('/auth/google/url', (req, res) => {
-  if (!GOOGLE_CLIENT_ID) {
-    return res.status(500).json({ error: 'Google OAuth not configured' });
+// Fixed-window rate limit. `subject(req)` picks what is counted (IP, account...);
+// requests it returns nothing for are not limited.
+function rateLimit(name, { limit, windowSeconds, subject = (req) => req.ip }) {
+  return async (req, res, next) => {
+    const key = subject(req);
+    if (!key) return next();
+    let result;
+    try {
+      result = await rateLimiter.hit(name, key, { limit, windowSeconds });
+    } catch (e) {
+      // Fail open: an unavailable Redis already breaks login and registration
+      console.error(`Rate limit ${name} check failed:`, e.message);
+      return next();
+    }
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({ error: 'Too many attempts, try again later', retryAfter: result.retryAfter });
+    }
+    next();
+  };
+}
+
+// Pick quotas reset at midnight in the user's timezone (UTC until they set one);
+// a timezone change moves the next reset, never the current day's
+const userTimezone = (user) => (isTimeZone(user.timezone) ? user.timezone : 'UTC');
+
+// OAuth callbacks hand the frontend a one-time code, exchanged via /auth/exchange
+async function redirectWithSession(res, user) {
+  const code = await tokens.createExchangeCode(user.id);
+  res.redirect(`${FRONTEND_URL}/?auth=success&code=${code}&onboarding=${!user.onboardingCompleted}`);
+}
+
+// ── OAUTH (GOOGLE & FACEBOOK) ─────────────────────────────────────────────────
+// Provider logins are identities (Google `sub`, Facebook `id`) linked to a user
+// (see lib/users.js), so a login finds its account even without an email.
+// A first login with a provider-verified email joins the account holding that
+// email; a new account is created otherwise. Signed-in users attach further
+// providers through /auth/:provider/link-url.
+const OAUTH_PROVIDERS = {
+  google: { label: 'Google', configured: () => !!GOOGLE_CLIENT_ID },
+  facebook: { label: 'Facebook', configured: () => !!FACEBOOK_APP_ID }
+};
+
+const oauthRedirectUri = (req, provider) => `${req.protocol}://${req.get('host')}/auth/${provider}/callback`;
+
+function oauthAuthorizeUrl(req, provider, state) {
+  if (provider === 'google') {
+    return `https://accounts.google.com/o/oauth2/v2/auth?${new URLSearchParams({
+      client_id: GOOGLE_CLIENT_ID,
+      redirect_uri: oauthRedirectUri(req, 'google'),
+      response_type: 'code',
+      scope: 'openid email profile',
+      state,
+      prompt: 'select_account'
+    })}`;
   }
-  
-  const state = crypto.randomBytes(16).toString('hex');
-  oauthStates.set(state, { provider: 'google', createdAt: Date.now() });
-  
-  // Clean old states after 10 minutes
-  setTimeout(() => oauthStates.delete(state), 600000);
-  
-  const params = new URLSearchParams({
-    client_id: GOOGLE_CLIENT_ID,
-    redirect_uri: `${req.protocol}://${req.get('host')}/auth/google/callback`,
+  return `https://www.facebook.com/v18.0/dialog/oauth?${new URLSearchParams({
+    client_id: FACEBOOK_APP_ID,
+    redirect_uri: oauthRedirectUri(req, 'facebook'),
     response_type: 'code',
-    scope: 'openid email profile',
-    state: state,
-    prompt: 'select_account'
-  });
-  
-  res.json({
-    url: `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`,
+    scope: 'email,public_profile',
     state
-  });
-});
+  })}`;
+}
 
-app.get('/auth/google/callback', async (req, res) => {
-  const { code, state, error } = req.query;
-  
-  if (error) {
-    return res.redirect(`${FRONTEND_URL}/?auth=error&message=${encodeURIComponent(error)}`);
-  }
-  
-  if (!oauthStates.has(state)) {
-    return res.redirect(`${FRONTEND_URL}/?auth=error&message=Invalid state`);
-  }
-  
-  oauthStates.delete(state);
-  
-  try {
-    // Exchange code for tokens
+// Exchanges the callback code for { provider, subject, email, emailVerified, name, picture }
+async function fetchOAuthProfile(req, provider, code) {
+  if (provider === 'google') {
     const tokenRes = await fetch('https://oauth2.googleapis.com/token', {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -116,182 +271,241 @@ app.get('/auth/google/callback', async (req, res) => {
         code,
         client_id: GOOGLE_CLIENT_ID,
         client_secret: GOOGLE_CLIENT_SECRET,
-        redirect_uri: `${req.protocol}://${req.get('host')}/auth/google/callback`,
+        redirect_uri: oauthRedirectUri(req, 'google'),
         grant_type: 'authorization_code'
       })
     });
-    
     const tokenData = await tokenRes.json();
+    if (!tokenRes.ok) throw new Error(tokenData.error_description || 'Token exchange failed');
     
-    if (!tokenRes.ok) {
-      throw new Error(tokenData.error_description || 'Token exchange failed');
-    }
-    
-    // Get user info
-    const userRes = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+    const userRes = await fetch('https://openidconnect.googleapis.com/v1/userinfo', {
       headers: { Authorization: `Bearer ${tokenData.access_token}` }
     });
-    
-    const googleUser = await userRes.json();
-    
-    // Find or create user
-    let user = Array.from(users.values()).find(u => u.email === googleUser.email);
-    
-    if (!user) {
-      const userId = `user_google_${Date.now()}`;
-      user = {
-        id: userId,
-        email: googleUser.email,
-        name: googleUser.name,
-        picture: googleUser.picture,
-        provider: 'google',
-        tier: 'FREE',
-        picksToday: 0,
-        picksResetAt: new Date().toISOString(),
-        createdAt: new Date().toISOString(),
-        onboardingCompleted: false
-      };
-      users.set(userId, user);
-      
-      // Create Stripe customer
-      try {
-        const customer = await stripe.customers.create({
-          email: user.email,
-          name: user.name,
-          metadata: { provider: 'google' }
-        });
-        user.stripeCustomerId = customer.id;
-      } catch (e) {
-        console.error('Stripe customer creation failed:', e.message);
-      }
-    }
-    
-    // Generate token
-    const token = `token_${user.id}`;
-    
-    // Redirect to frontend with token
-    res.redirect(`${FRONTEND_URL}/?auth=success&token=${token}&userId=${user.id}&email=${encodeURIComponent(user.email)}&onboarding=${!user.onboardingCompleted}`);
-    
-  } catch (e) {
-    console.error('Google auth error:', e);
-    res.redirect(`${FRONTEND_URL}/?auth=error&message=${encodeURIComponent(e.message)}`);
+    const profile = await userRes.json();
+    if (!userRes.ok || !profile.sub) throw new Error('Failed to load Google profile');
+    return {
+      provider,
+      subject: String(profile.sub),
+      email: profile.email || null,
+      emailVerified: profile.email_verified === true,
+      name: profile.name,
+      picture: profile.picture
+    };
   }
-});
+  
+  const tokenUrl = `https://graph.facebook.com/v18.0/oauth/access_token?${new URLSearchParams({
+    client_id: FACEBOOK_APP_ID,
+    client_secret: FACEBOOK_APP_SECRET,
+    redirect_uri: oauthRedirectUri(req, 'facebook'),
+    code
+  })}`;
+  const tokenData = await (await fetch(tokenUrl)).json();
+  if (tokenData.error) throw new Error(tokenData.error.message);
+  
+  const profile = await (await fetch(`https://graph.facebook.com/me?fields=id,name,email,picture&access_token=${tokenData.access_token}`)).json();
+  if (profile.error || !profile.id) throw new Error(profile.error?.message || 'Failed to load Facebook profile');
+  // Facebook only returns an email the user has confirmed, and none at all for
+  // phone-only accounts or when the permission is declined
+  return {
+    provider,
+    subject: String(profile.id),
+    email: profile.email || null,
+    emailVerified: !!profile.email,
+    name: profile.name,
+    picture: profile.picture?.data?.url
+  };
+}
+
+const identityFor = (profile) => ({ provider: profile.provider, subject: profile.subject, email: profile.email });
+const oauthError = (res, message) => res.redirect(`${FRONTEND_URL}/?auth=error&message=${encodeURIComponent(message)}`);
+const linkRedirect = (res, provider, status, message) =>
+  res.redirect(`${FRONTEND_URL}/?link=${status}&provider=${provider}${message ? `&message=${encodeURIComponent(message)}` : ''}`);
+
+// Gives an email-less account (e.g. phone-only Facebook) a verified address
+// from a newly linked provider, if no other account holds it
+async function adoptProviderEmail(user, profile) {
+  if (user.email || !profile.email || !profile.emailVerified) return;
+  if (await users.findByEmail(profile.email)) return;
+  user.email = profile.email;
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date().toISOString();
+}
 
-// ── FACEBOOK OAUTH ───────────────────────────────────────────────────────────
-app.get('/auth/facebook/url', (req, res) => {
-  if (!FACEBOOK_APP_ID) {
-    return res.status(500).json({ error: 'Facebook OAuth not configured' });
+async function createOAuthUser(profile, referralCode) {
+  const user = {
+    id: `user_${profile.provider}_${Date.now()}`,
+    email: profile.emailVerified ? profile.email : null,
+    emailVerified: !!profile.emailVerified,
+    name: profile.name || (profile.email ? profile.email.split('@')[0] : `${OAUTH_PROVIDERS[profile.provider].label} user`),
+    picture: profile.picture,
+    provider: profile.provider,
+    tier: 'FREE',
+    createdAt: new Date().toISOString(),
+    onboardingCompleted: false
+  };
+  // Lost a race with a concurrent sign-up for the same address
+  if (!await users.create(user)) return null;
+  
+  if (!await users.linkIdentity(user, identityFor(profile))) {
+    // A concurrent first login with this identity won; use its account
+    await users.remove(user.id);
+    return users.findByIdentity(profile.provider, profile.subject);
   }
   
-  const state = crypto.randomBytes(16).toString('hex');
-  oauthStates.set(state, { provider: 'facebook', createdAt: Date.now() });
+  try {
+    const customer = await stripe.customers.create({
+      email: user.email || undefined,
+      name: user.name,
+      metadata: { provider: profile.provider, userId: user.id }
+    });
+    user.stripeCustomerId = customer.id;
+    await users.save(user);
+  } catch (e) {
+    console.error('Stripe customer creation failed:', e.message);
+  }
+  await attributeReferral(user, referralCode);
+  return user;
+}
+
+// Signs in (or up) with a provider profile. A `referralCode` only counts when
+// a new account is created. Returns the user, or an error message.
+async function signInWithProfile(profile, referralCode) {
+  const { label } = OAUTH_PROVIDERS[profile.provider];
+  const owner = await users.findByIdentity(profile.provider, profile.subject);
+  if (owner) return { user: owner };
   
-  setTimeout(() => oauthStates.delete(state), 600000);
+  if (profile.email && profile.emailVerified) {
+    const existing = await users.findByEmail(profile.email);
+    if (existing) {
+      if ((existing.identities || []).some(i => i.provider === profile.provider)) {
+        return { error: `This email's account uses a different ${label} login` };
+      }
+      // A password set on an unverified address may belong to someone who
+      // registered it first to hijack the account; the provider proves the
+      // real owner, so that password and its sessions are dropped
+      if (!existing.emailVerified && existing.provider === 'email' && (existing.passwordHash || existing.password)) {
+        delete existing.passwordHash;
+        delete existing.password;
+        await tokens.revokeAll(existing.id);
+      }
+      existing.emailVerified = true;
+      existing.emailVerifiedAt = existing.emailVerifiedAt || new Date().toISOString();
+      if (!await users.linkIdentity(existing, identityFor(profile))) {
+        return { user: await users.findByIdentity(profile.provider, profile.subject) };
+      }
+      return { user: existing };
+    }
+  }
   
-  const params = new URLSearchParams({
-    client_id: FACEBOOK_APP_ID,
-    redirect_uri: `${req.protocol}://${req.get('host')}/auth/facebook/callback`,
-    response_type: 'code',
-    scope: 'email,public_profile',
-    state: state
-  });
+  const user = await createOAuthUser(profile, referralCode) || await users.findByEmail(profile.email);
+  if (user && !(user.identities || []).some(i => i.provider === profile.provider)) {
+    await users.linkIdentity(user, identityFor(profile));
+  }
+  return user ? { user } : { error: 'Sign-in failed, try again' };
+}
+
+// GET /auth/:provider/url?ref=CODE  —  `ref` credits a referrer if this login
+// creates the account
+app.get('/auth/:provider/url', async (req, res, next) => {
+  const provider = req.params.provider;
+  if (!OAUTH_PROVIDERS[provider]) return next();
+  if (!OAUTH_PROVIDERS[provider].configured()) {
+    return res.status(500).json({ error: `${OAUTH_PROVIDERS[provider].label} OAuth not configured` });
+  }
   
-  res.json({
-    url: `https://www.facebook.com/v18.0/dialog/oauth?${params.toString()}`,
-    state
-  });
+  const state = crypto.randomBytes(16).toString('hex');
+  const referralCode = typeof req.query.ref === 'string' ? req.query.ref.slice(0, 32) : null;
+  try {
+    await oauthStates.put(state, { provider, referralCode, createdAt: Date.now() });
+    res.json({ url: oauthAuthorizeUrl(req, provider, state), state });
+  } catch (e) {
+    console.error('OAuth state save failed:', e.message);
+    res.status(500).json({ error: 'Failed to start sign-in' });
+  }
 });
 
-app.get('/auth/facebook/callback', async (req, res) => {
-  const { code, state, error } = req.query;
-  
-  if (error) {
-    return res.redirect(`${FRONTEND_URL}/?auth=error&message=${encodeURIComponent(error)}`);
+// GET /auth/:provider/link-url  —  like /url, but the callback attaches the
+// provider to the signed-in account instead of signing in
+app.get('/auth/:provider/link-url', authMiddleware, async (req, res, next) => {
+  const provider = req.params.provider;
+  if (!OAUTH_PROVIDERS[provider]) return next();
+  if (!OAUTH_PROVIDERS[provider].configured()) {
+    return res.status(500).json({ error: `${OAUTH_PROVIDERS[provider].label} OAuth not configured` });
   }
   
-  if (!oauthStates.has(state)) {
-    return res.redirect(`${FRONTEND_URL}/?auth=error&message=Invalid state`);
+  const state = crypto.randomBytes(16).toString('hex');
+  try {
+    await oauthStates.put(state, { provider, linkUserId: req.user.id, createdAt: Date.now() });
+    res.json({ url: oauthAuthorizeUrl(req, provider, state), state });
+  } catch (e) {
+    console.error('OAuth state save failed:', e.message);
+    res.status(500).json({ error: 'Failed to start linking' });
   }
+});
+
+app.get('/auth/:provider/callback', async (req, res, next) => {
+  const provider = req.params.provider;
+  if (!OAUTH_PROVIDERS[provider]) return next();
+  const { code, state, error } = req.query;
   
-  oauthStates.delete(state);
+  if (error) return oauthError(res, error);
+  const { label } = OAUTH_PROVIDERS[provider];
   
   try {
-    // Exchange code for token
-    const tokenRes = await fetch('https://graph.facebook.com/v18.0/oauth/access_token', {
-      method: 'GET',
-      headers: { 'Content-Type': 'application/json' }
-    });
-    
-    const tokenUrl = `https://graph.facebook.com/v18.0/oauth/access_token?${new URLSearchParams({
-      client_id: FACEBOOK_APP_ID,
-      client_secret: FACEBOOK_APP_SECRET,
-      redirect_uri: `${req.protocol}://${req.get('host')}/auth/facebook/callback`,
-      code
-    })}`;
-    
-    const tokenData = await (await fetch(tokenUrl)).json();
+    const stored = await oauthStates.consume(state);
+    if (stored?.provider !== provider) return oauthError(res, 'Invalid state');
     
-    if (tokenData.error) {
-      throw new Error(tokenData.error.message);
-    }
-    
-    // Get user info
-    const userRes = await fetch(`https://graph.facebook.com/me?fields=id,name,email,picture&access_token=${tokenData.access_token}`);
-    const fbUser = await userRes.json();
+    const profile = await fetchOAuthProfile(req, provider, code);
     
-    // Find or create user
-    let user = Array.from(users.values()).find(u => u.email === fbUser.email);
-    
-    if (!user) {
-      const userId = `user_facebook_${Date.now()}`;
-      user = {
-        id: userId,
-        email: fbUser.email,
-        name: fbUser.name,
-        picture: fbUser.picture?.data?.url,
-        provider: 'facebook',
-        tier: 'FREE',
-        picksToday: 0,
-        picksResetAt: new Date().toISOString(),
-        createdAt: new Date().toISOString(),
-        onboardingCompleted: false
-      };
-      users.set(userId, user);
-      
-      try {
-        const customer = await stripe.customers.create({
-          email: user.email,
-          name: user.name,
-          metadata: { provider: 'facebook' }
-        });
-        user.stripeCustomerId = customer.id;
-      } catch (e) {
-        console.error('Stripe customer creation failed:', e.message);
+    if (stored.linkUserId) {
+      const user = await users.get(stored.linkUserId);
+      if (!user) return linkRedirect(res, provider, 'error', 'Account not found');
+      const owner = await users.findByIdentity(provider, profile.subject);
+      if (owner && owner.id !== user.id) {
+        return linkRedirect(res, provider, 'error', `That ${label} account is already linked to another user`);
+      }
+      const current = (user.identities || []).find(i => i.provider === provider);
+      if (current && current.subject !== profile.subject) {
+        return linkRedirect(res, provider, 'error', `Unlink your current ${label} account first`);
       }
+      await adoptProviderEmail(user, profile);
+      if (!await users.linkIdentity(user, identityFor(profile))) {
+        return linkRedirect(res, provider, 'error', `That ${label} account is already linked to another user`);
+      }
+      return linkRedirect(res, provider, 'success');
     }
     
-    const token = `token_${user.id}`;
-    
-    res.redirect(`${FRONTEND_URL}/?auth=success&token=${token}&userId=${user.id}&email=${encodeURIComponent(user.email)}&onboarding=${!user.onboardingCompleted}`);
-    
+    const { user, error: signInError } = await signInWithProfile(profile, stored.referralCode);
+    if (!user) return oauthError(res, signInError);
+    await redirectWithSession(res, user);
   } catch (e) {
-    console.error('Facebook auth error:', e);
-    res.redirect(`${FRONTEND_URL}/?auth=error&message=${encodeURIComponent(e.message)}`);
+    console.error(`${label} auth error:`, e);
+    oauthError(res, e.message);
   }
 });
 
 // ── EMAIL/PASSWORD AUTH ──────────────────────────────────────────────────────
-app.post('/auth/register', async (req, res) => {
-  const { email, password, name } = req.body;
+// Login is limited per client IP and per target account, so credential stuffing
+// is slowed whether it spreads across accounts or across addresses.
+const loginLimits = [
+  rateLimit('login:ip', { limit: 20, windowSeconds: 15 * 60 }),
+  rateLimit('login:account', {
+    limit: 10,
+    windowSeconds: 15 * 60,
+    subject: (req) => req.body.email && normalizeEmail(req.body.email)
+  })
+];
+const registerLimits = [rateLimit('register:ip', { limit: 5, windowSeconds: 3600 })];
+
+app.post('/auth/register', registerLimits, async (req, res) => {
+  const { email, password, name, timezone, referralCode } = req.body;
   if (!email || !password) {
     return res.status(400).json({ error: 'Email and password required' });
   }
   
-  // Check if email exists
-  const existing = Array.from(users.values()).find(u => u.email === email);
-  if (existing) {
-    return res.status(409).json({ error: 'Email already registered' });
+  const problems = checkPasswordStrength(password, { email });
+  if (problems.length) {
+    return res.status(400).json({ error: 'Password too weak', problems });
   }
   
   const userId = `user_${Date.now()}`;
@@ -299,93 +513,418 @@ app.post('/auth/register', async (req, res) => {
     id: userId,
     email,
     name: name || email.split('@')[0],
-    password: password, // Hash in production!
+    passwordHash: await hashPassword(password),
+    emailVerified: false,
     provider: 'email',
     tier: 'FREE',
-    picksToday: 0,
-    picksResetAt: new Date().toISOString(),
+    timezone: isTimeZone(timezone) ? timezone : null,
     createdAt: new Date().toISOString(),
     onboardingCompleted: false
   };
   
-  users.set(userId, user);
+  try {
+    if (!await users.create(user)) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+  } catch (e) {
+    console.error('User creation failed:', e.message);
+    return res.status(500).json({ error: 'Registration failed' });
+  }
   
   try {
     const customer = await stripe.customers.create({ email, name: user.name });
     user.stripeCustomerId = customer.id;
+    await users.save(user);
   } catch (e) {
     console.error('Stripe customer creation failed:', e.message);
   }
   
+  await attributeReferral(user, referralCode);
+  
+  try {
+    await sendVerificationEmail(req, user);
+  } catch (e) {
+    console.error('Verification email failed:', e.message);
+  }
+  
   res.json({
     userId,
     email,
-    token: `token_${userId}`,
+    ...tokens.issue(userId),
     tier: 'FREE',
+    emailVerified: false,
     onboardingRequired: true
   });
 });
 
-app.post('/auth/login', (req, res) => {
+app.post('/auth/login', loginLimits, async (req, res) => {
   const { email, password } = req.body;
-  const user = Array.from(users.values()).find(u => 
-    u.email === email && u.password === password
-  );
-  
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+  try {
+    const user = await users.findByEmail(email);
+    
+    if (!user || !password) {
+      await burnVerify(password || '');
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    // Accounts created before hashing still carry a plaintext password; verify it
+    // in constant time once and upgrade it to a hash
+    if (!user.passwordHash && user.password) {
+      const a = Buffer.from(String(user.password));
+      const b = Buffer.from(String(password));
+      if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      user.passwordHash = await hashPassword(password);
+      delete user.password;
+      await users.save(user);
+    } else if (!await verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    res.json({
+      userId: user.id,
+      email: user.email,
+      name: user.name,
+      picture: user.picture,
+      ...tokens.issue(user.id),
+      tier: user.tier,
+      emailVerified: !!user.emailVerified,
+      onboardingCompleted: user.onboardingCompleted
+    });
+  } catch (e) {
+    console.error('Login failed:', e.message);
+    res.status(500).json({ error: 'Login failed' });
   }
-  
+});
+
+// ── LOGIN METHODS ─────────────────────────────────────────────────────────────
+// A password counts as a way in only when there is an email to log in with
+const hasPassword = (user) => !!(user.passwordHash || user.password);
+const loginMethods = (user) => [
+  ...(user.email && hasPassword(user) ? ['password'] : []),
+  ...(user.identities || []).map(i => i.provider)
+];
+
+// GET /auth/identities  —  the caller's login methods
+app.get('/auth/identities', authMiddleware, (req, res) => {
+  const methods = loginMethods(req.user);
   res.json({
-    userId: user.id,
-    email: user.email,
-    name: user.name,
-    picture: user.picture,
-    token: `token_${user.id}`,
-    tier: user.tier,
-    onboardingCompleted: user.onboardingCompleted
+    identities: (req.user.identities || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+    hasPassword: hasPassword(req.user),
+    methods,
+    // Removing the last method would lock the account
+    canUnlink: methods.length > 1
   });
 });
 
-// ── TIER & SUBSCRIPTION ──────────────────────────────────────────────────────
-async function getUserTier(userId) {
-  const user = users.get(userId);
-  if (!user) return 'FREE';
+// DELETE /auth/identities/:provider  —  detach a provider login, never the last one
+app.delete('/auth/identities/:provider', authMiddleware, async (req, res) => {
+  const user = req.user;
+  const provider = req.params.provider;
+  if (!(user.identities || []).some(i => i.provider === provider)) {
+    return res.status(404).json({ error: 'No such linked login' });
+  }
+  if (loginMethods(user).length <= 1) {
+    return res.status(409).json({
+      error: 'This is your only way to sign in. Set a password or link another provider first.',
+      code: 'last_login_method'
+    });
+  }
+  try {
+    await users.unlinkIdentity(user, provider);
+    res.json({ success: true, methods: loginMethods(user) });
+  } catch (e) {
+    console.error('Unlink failed:', e.message);
+    res.status(500).json({ error: 'Failed to unlink' });
+  }
+});
+
+// Changing a password checks the current one, so guesses are limited per account
+const passwordLimits = [
+  rateLimit('password:user', { limit: 10, windowSeconds: 15 * 60, subject: (req) => req.user.id })
+];
+
+// POST /auth/password { password, currentPassword? }  —  set a password on an
+// OAuth account, or change an existing one (which needs the current password)
+app.post('/auth/password', authMiddleware, passwordLimits, async (req, res) => {
+  const user = req.user;
+  const { password, currentPassword } = req.body;
+  if (!password) return res.status(400).json({ error: 'password required' });
+  if (!user.email) {
+    return res.status(409).json({ error: 'Passwords sign in by email; link a provider that shares your email first', code: 'email_required' });
+  }
+  
+  try {
+    const changing = hasPassword(user);
+    if (changing) {
+      let valid;
+      if (user.passwordHash) valid = await verifyPassword(String(currentPassword || ''), user.passwordHash);
+      else {
+        const a = Buffer.from(String(user.password));
+        const b = Buffer.from(String(currentPassword || ''));
+        valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+      }
+      if (!valid) return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    
+    const problems = checkPasswordStrength(password, { email: user.email });
+    if (problems.length) return res.status(400).json({ error: 'Password too weak', problems });
+    
+    user.passwordHash = await hashPassword(password);
+    delete user.password;
+    await users.save(user);
+    // A changed password signs every device out, this one included
+    if (changing) await tokens.revokeAll(user.id);
+    res.json({ success: true, methods: loginMethods(user), signedOut: changing });
+  } catch (e) {
+    console.error('Set password failed:', e.message);
+    res.status(500).json({ error: 'Failed to set password' });
+  }
+});
+
+// ── EMAIL VERIFICATION & PASSWORD RESET ──────────────────────────────────────
+const VERIFY_EMAIL_TTL = 24 * 3600;
+const PASSWORD_RESET_TTL = 3600;
+
+async function sendVerificationEmail(req, user) {
+  const token = await oneTimeTokens.issue('verify_email', user.id, VERIFY_EMAIL_TTL);
+  const link = `${req.protocol}://${req.get('host')}/auth/verify-email?token=${token}`;
+  await mailer.send({
+    to: user.email,
+    subject: 'Confirm your EdgeBet AI email',
+    text: `Confirm your email address by opening this link within 24 hours:\n\n${link}`
+  });
+}
+
+app.get('/auth/verify-email', async (req, res) => {
+  try {
+    const userId = await oneTimeTokens.consume('verify_email', req.query.token);
+    const user = userId && await users.get(userId);
+    if (!user) {
+      return res.redirect(`${FRONTEND_URL}/?verified=error&message=${encodeURIComponent('Link invalid or expired')}`);
+    }
+    
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date().toISOString();
+    await users.save(user);
+    res.redirect(`${FRONTEND_URL}/?verified=success`);
+  } catch (e) {
+    console.error('Email verification failed:', e.message);
+    res.redirect(`${FRONTEND_URL}/?verified=error&message=${encodeURIComponent('Verification failed')}`);
+  }
+});
+
+app.post('/auth/verify-email/resend', authMiddleware, async (req, res) => {
+  if (req.user.emailVerified) return res.json({ success: true, alreadyVerified: true });
+  try {
+    await sendVerificationEmail(req, req.user);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Verification email failed:', e.message);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Always answers 200 so the endpoint cannot be used to probe registered emails
+app.post('/auth/password/forgot', async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'Email required' });
   
-  if (user.subscriptionId && user.subscriptionStatus === 'active') {
-    if (user.subscriptionCurrentPeriodEnd && new Date(user.subscriptionCurrentPeriodEnd) > new Date()) {
-      return user.tier;
+  try {
+    const user = await users.findByEmail(email);
+    if (user) {
+      const token = await oneTimeTokens.issue('password_reset', user.id, PASSWORD_RESET_TTL);
+      await mailer.send({
+        to: user.email,
+        subject: 'Reset your EdgeBet AI password',
+        text: `Reset your password within the next hour:\n\n${FRONTEND_URL}/?resetToken=${token}\n\nIf you did not ask for this, ignore this email.`
+      });
     }
+  } catch (e) {
+    console.error('Password reset request failed:', e.message);
   }
   
-  return 'FREE';
+  res.json({ success: true });
+});
+
+app.post('/auth/password/reset', async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) return res.status(400).json({ error: 'token and password required' });
+  
+  try {
+    const userId = await oneTimeTokens.consume('password_reset', token);
+    const user = userId && await users.get(userId);
+    if (!user) return res.status(400).json({ error: 'Reset link invalid or expired' });
+    
+    const problems = checkPasswordStrength(password, { email: user.email });
+    if (problems.length) {
+      // The token was consumed; hand back a fresh one so the user can retry
+      const retryToken = await oneTimeTokens.issue('password_reset', user.id, PASSWORD_RESET_TTL);
+      return res.status(400).json({ error: 'Password too weak', problems, token: retryToken });
+    }
+    
+    user.passwordHash = await hashPassword(password);
+    delete user.password;
+    // Receiving the reset email proves ownership of the address
+    user.emailVerified = true;
+    await users.save(user);
+    await tokens.revokeAll(user.id);
+    
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Password reset failed:', e.message);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// ── SESSIONS ─────────────────────────────────────────────────────────────────
+// Redeem the one-time code from an OAuth redirect for a token pair
+app.post('/auth/exchange', async (req, res) => {
+  try {
+    const userId = await tokens.redeemExchangeCode(req.body.code);
+    const user = userId && await users.get(userId);
+    if (!user) return res.status(401).json({ error: 'Invalid or expired code' });
+    
+    res.json({
+      userId: user.id,
+      email: user.email,
+      name: user.name,
+      picture: user.picture,
+      ...tokens.issue(user.id),
+      tier: user.tier,
+      onboardingCompleted: user.onboardingCompleted
+    });
+  } catch (e) {
+    console.error('Code exchange failed:', e.message);
+    res.status(500).json({ error: 'Code exchange failed' });
+  }
+});
+
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+  try {
+    const { userId, ...session } = await tokens.refresh(refreshToken);
+    if (!await users.get(userId)) return res.status(401).json({ error: 'Invalid token' });
+    res.json(session);
+  } catch (e) {
+    if (e instanceof TokenError) return res.status(401).json({ error: 'Invalid token' });
+    console.error('Token refresh failed:', e.message);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Revokes the current access token and, if supplied, its refresh token
+app.post('/auth/logout', authMiddleware, async (req, res) => {
+  try {
+    await tokens.revoke(req.headers.authorization.replace('Bearer ', ''));
+    if (req.body.refreshToken) await tokens.revoke(req.body.refreshToken);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Logout failed:', e.message);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.post('/auth/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await tokens.revokeAll(req.user.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Logout-all failed:', e.message);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// ── TIER & SUBSCRIPTION ──────────────────────────────────────────────────────
+// Effective tier from the subscription or an admin override (see lib/entitlements.js)
+async function getUserTier(userId) {
+  return entitlements.resolve(await users.get(userId)).tier;
+}
+
+// Route guard for paid features; must run after authMiddleware. Denials are a
+// structured 402 (upgrade or lapsed payment) or 403 (no tier offers it).
+function requireFeature(feature) {
+  return (req, res, next) => {
+    const granted = entitlements.resolve(req.user);
+    if (!granted.features.includes(feature)) {
+      const { status, body } = entitlements.denial(granted, feature);
+      return res.status(status).json(body);
+    }
+    req.tier = granted.tier;
+    req.entitlements = granted;
+    next();
+  };
+}
+
+// Admin-only routes. Admins carry role 'admin' on their user record; ADMIN_EMAILS
+// bootstraps the first ones (the address must be verified or come from OAuth).
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+
+function isAdmin(user) {
+  if (user.role === 'admin') return true;
+  const proven = user.emailVerified || user.provider !== 'email';
+  return proven && !!user.email && ADMIN_EMAILS.includes(user.email.toLowerCase());
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) return res.status(403).json({ error: 'Admin only' });
+  next();
 }
 
 app.get('/tier/status', authMiddleware, async (req, res) => {
-  const tier = await getUserTier(req.user.id);
-  const tierConfig = TIERS[tier.toUpperCase()];
+  const granted = entitlements.resolve(req.user);
+  const tier = granted.tier;
+  const tierConfig = TIERS[tier];
+  const picksPerDay = granted.limits.picksPerDay;
+  
+  let picks;
+  try {
+    picks = await quotas.usage('picks', req.user.id, { limit: picksPerDay, timezone: userTimezone(req.user) });
+  } catch (e) {
+    console.error('Quota lookup failed:', e.message);
+    return res.status(503).json({ error: 'Quota lookup unavailable' });
+  }
   
   res.json({
     tier,
-    features: tierConfig.features,
-    picksPerDay: tierConfig.picksPerDay,
-    picksUsedToday: req.user.picksToday || 0,
-    picksRemaining: tierConfig.picksPerDay - (req.user.picksToday || 0),
+    source: granted.source,
+    features: granted.features,
+    limits: granted.limits,
+    quotas: { picks },
+    picksPerDay,
+    picksUsedToday: picks.used,
+    picksRemaining: picks.remaining,
     price: tierConfig.price,
+    override: granted.override ? { tier: granted.override.tier, features: granted.override.features, expiresAt: granted.override.expiresAt } : null,
     canUpgrade: tier !== 'SHARP',
-    trialAvailable: !req.user.trialUsed
+    trialAvailable: !req.user.trialUsed,
+    subscription: req.user.subscriptionId ? {
+      plan: req.user.plan || tier,
+      status: req.user.subscriptionStatus,
+      currentPeriodEnd: req.user.subscriptionCurrentPeriodEnd || null,
+      cancelAtPeriodEnd: !!req.user.cancelAtPeriodEnd,
+      trialEnd: req.user.trialEnd || null
+    } : null
   });
 });
 
 // ── STRIPE CHECKOUT ───────────────────────────────────────────────────────────
+// POST /stripe/checkout { tier, promoCode? }
 app.post('/stripe/checkout', authMiddleware, async (req, res) => {
-  const { tier } = req.body;
-  const tierConfig = TIERS[tier.toUpperCase()];
+  const { promoCode } = req.body;
+  const tier = typeof req.body.tier === 'string' ? req.body.tier.toUpperCase() : '';
+  const tierConfig = TIERS[tier];
   
   if (!tierConfig || tier === 'FREE' || !tierConfig.stripePriceId) {
     return res.status(400).json({ error: 'Invalid tier' });
   }
   
+  if (req.user.subscriptionId && ENTITLED_STATUSES.includes(req.user.subscriptionStatus)) {
+    return res.status(409).json({ error: 'Already subscribed; use /stripe/change-plan' });
+  }
+  
   try {
     const user = req.user;
     
@@ -408,15 +947,24 @@ app.post('/stripe/checkout', authMiddleware, async (req, res) => {
       };
     }
     
+    // The redemption is counted by the checkout.session.completed webhook
+    if (promoCode) {
+      const promo = await promos.validate(promoCode, { user, tier });
+      sessionConfig.discounts = [{ coupon: promo.stripeCouponId }];
+      sessionConfig.metadata = { promoCode: promo.code };
+    }
+    
     const session = await stripe.checkout.sessions.create(sessionConfig);
     
     res.json({ sessionId: session.id, url: session.url });
   } catch (e) {
+    if (e instanceof PromoError) return res.status(e.status).json({ error: e.message });
     res.status(500).json({ error: e.message });
   }
 });
 
-// Stripe webhook
+// Stripe webhook. Needs the raw body for signature checks, which is why the
+// global JSON parser skips this path.
 app.post('/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   let event;
@@ -427,107 +975,673 @@ app.post('/stripe/webhook', express.raw({ type: 'application/json' }), async (re
     return res.status(400).json({ error: e.message });
   }
   
-  switch (event.type) {
-    case 'checkout.session.completed':
-      const session = event.data.object;
-      const user = Array.from(users.values()).find(u => u.stripeCustomerId === session.customer);
-      
-      if (user) {
-        const subscription = await stripe.subscriptions.retrieve(session.subscription);
-        const priceId = subscription.items.data[0].price.id;
-        
-        const tier = priceId === TIERS.PRO.stripePriceId ? 'PRO' : 
-                     priceId === TIERS.SHARP.stripePriceId ? 'SHARP' : 'FREE';
-        
-        user.subscriptionId = session.subscription;
-        user.subscriptionStatus = 'active';
-        user.subscriptionCurrentPeriodEnd = new Date(subscription.current_period_end * 1000).toISOString();
-        user.tier = tier;
-        user.trialUsed = true;
-        
-        // Notify Discord
-        if (process.env.DISCORD_WEBHOOK_URL) {
-          await fetch(process.env.DISCORD_WEBHOOK_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              content: `🎉 New ${tier} subscriber: ${user.email} (${user.provider || 'email'})`
-            })
-          });
-        }
-      }
-      break;
-      
-    case 'invoice.payment_failed':
-      const sub = event.data.object;
-      const failedUser = Array.from(users.values()).find(u => u.subscriptionId === sub.id);
-      if (failedUser) {
-        failedUser.tier = 'FREE';
-        failedUser.subscriptionStatus = 'past_due';
-      }
-      break;
+  try {
+    const { duplicate } = await billing.handleEvent(event);
+    res.json({ received: true, duplicate });
+  } catch (e) {
+    // A non-2xx response makes Stripe retry the event with backoff
+    console.error(`Stripe webhook ${event.type} (${event.id}) failed:`, e.message);
+    res.status(500).json({ error: 'Webhook processing failed' });
   }
+});
+
+// POST /stripe/change-plan { tier, preview }  —  move an active subscription between
+// paid tiers. Upgrades bill the prorated difference immediately and only apply once
+// paid; downgrades credit the unused time against the next invoice. With `preview`
+// nothing changes and the prorated amount due is returned.
+app.post('/stripe/change-plan', authMiddleware, async (req, res) => {
+  const user = req.user;
+  const tier = String(req.body.tier || '').toUpperCase();
+  const target = TIERS[tier];
+  if (!target?.stripePriceId) return res.status(400).json({ error: 'Invalid tier' });
+  if (!user.subscriptionId || !ENTITLED_STATUSES.includes(user.subscriptionStatus)) {
+    return res.status(409).json({ error: 'No active subscription; use /stripe/checkout' });
+  }
+  if (user.plan === tier) return res.status(400).json({ error: `Already on ${target.name}` });
   
-  res.json({ received: true });
+  try {
+    const subscription = await stripe.subscriptions.retrieve(user.subscriptionId);
+    const items = [{ id: subscription.items.data[0].id, price: target.stripePriceId }];
+    const upgrade = target.price > (TIERS[user.plan || user.tier]?.price || 0);
+    const prorationBehavior = upgrade ? 'always_invoice' : 'create_prorations';
+    
+    if (req.body.preview) {
+      const invoice = await stripe.invoices.retrieveUpcoming({
+        customer: user.stripeCustomerId,
+        subscription: subscription.id,
+        subscription_items: items,
+        subscription_proration_behavior: prorationBehavior
+      });
+      return res.json({ tier, upgrade, amountDue: invoice.amount_due, currency: invoice.currency });
+    }
+    
+    // Changing plan keeps the subscription going. Pending (upgrade) updates
+    // accept only a few parameters, so a scheduled cancellation is cleared first.
+    if (upgrade && subscription.cancel_at_period_end) {
+      await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: false });
+    }
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items,
+      proration_behavior: prorationBehavior,
+      ...(upgrade ? { payment_behavior: 'pending_if_incomplete' } : { cancel_at_period_end: false })
+    });
+    const saved = await billing.applySubscription(updated, { reason: 'change_plan', user });
+    res.json({ success: true, tier: saved.tier, plan: saved.plan, pendingPayment: !!updated.pending_update });
+  } catch (e) {
+    console.error('Plan change failed:', e.message);
+    res.status(502).json({ error: e.message });
+  }
+});
+
+// POST /stripe/cancel  —  cancel at the end of the paid period; POST /stripe/resume undoes it
+async function setCancelAtPeriodEnd(req, res, cancel) {
+  const user = req.user;
+  if (!user.subscriptionId || !ENTITLED_STATUSES.includes(user.subscriptionStatus)) {
+    return res.status(409).json({ error: 'No active subscription' });
+  }
+  try {
+    const updated = await stripe.subscriptions.update(user.subscriptionId, { cancel_at_period_end: cancel });
+    const saved = await billing.applySubscription(updated, { reason: cancel ? 'cancel' : 'resume', user });
+    res.json({
+      success: true,
+      cancelAtPeriodEnd: saved.cancelAtPeriodEnd,
+      currentPeriodEnd: saved.subscriptionCurrentPeriodEnd
+    });
+  } catch (e) {
+    console.error('Subscription update failed:', e.message);
+    res.status(502).json({ error: e.message });
+  }
+}
+
+app.post('/stripe/cancel', authMiddleware, (req, res) => setCancelAtPeriodEnd(req, res, true));
+app.post('/stripe/resume', authMiddleware, (req, res) => setCancelAtPeriodEnd(req, res, false));
+
+// ── REFERRALS & PROMO CODES ────────────────────────────────────────────────────
+// Credits the owner of `code` with a newly created account. Never fails sign-up.
+async function attributeReferral(user, code) {
+  if (!code) return;
+  try {
+    await referrals.attribute(user, code);
+  } catch (e) {
+    console.error(`Referral attribution failed for ${user.id}:`, e.message);
+  }
+}
+
+// GET /referrals  —  the user's code and share link, who signed up with it and
+// which of them have converted
+app.get('/referrals', authMiddleware, async (req, res) => {
+  try {
+    const summary = await referrals.summary(req.user);
+    res.json({ ...summary, link: `${FRONTEND_URL}/?ref=${summary.code}` });
+  } catch (e) {
+    console.error('GET /referrals error:', e.message);
+    res.status(500).json({ error: 'Failed to load referrals' });
+  }
+});
+
+// GET /promos/:code?tier=PRO  —  checks a code before checkout
+app.get('/promos/:code', authMiddleware, async (req, res) => {
+  try {
+    const tier = String(req.query.tier || '').toUpperCase() || null;
+    const promo = await promos.validate(req.params.code, { user: req.user, tier });
+    res.json({
+      valid: true,
+      code: promo.code,
+      description: promo.description,
+      percentOff: promo.percentOff,
+      amountOff: promo.amountOff,
+      currency: promo.currency,
+      duration: promo.duration,
+      durationInMonths: promo.durationInMonths,
+      expiresAt: promo.expiresAt,
+      tiers: promo.tiers
+    });
+  } catch (e) {
+    if (e instanceof PromoError) return res.status(e.status).json({ valid: false, error: e.message });
+    console.error('GET /promos/:code error:', e.message);
+    res.status(500).json({ error: 'Failed to check promo code' });
+  }
 });
 
 // ── PICKS (WITH LIMITS) ───────────────────────────────────────────────────────
 app.get('/scan', authMiddleware, async (req, res) => {
   const user = req.user;
-  const tier = await getUserTier(user.id);
-  const tierConfig = TIERS[tier.toUpperCase()];
+  const { tier, limits, features } = entitlements.resolve(user);
   
-  // Reset daily counter if needed
-  const lastReset = new Date(user.picksResetAt || 0);
-  const now = new Date();
-  if (lastReset.getDate() !== now.getDate() || lastReset.getMonth() !== now.getMonth()) {
-    user.picksToday = 0;
-    user.picksResetAt = now.toISOString();
+  const sports = req.query.sport
+    ? String(req.query.sport).toUpperCase().split(',').filter(s => SPORTS[s])
+    : Object.keys(SPORTS);
+  if (!sports.length) {
+    return res.status(400).json({ error: `sport must be one of: ${Object.keys(SPORTS).join(', ')}` });
   }
+  const minEdge = Number(req.query.minEdge) || 0;
   
-  if (user.picksToday >= tierConfig.picksPerDay) {
+  // One scan uses one pick from today's quota, refunded if the scan fails
+  const timezone = userTimezone(user);
+  let quota;
+  try {
+    quota = await quotas.consume('picks', user.id, { limit: limits.picksPerDay, timezone });
+  } catch (e) {
+    console.error('Quota check failed:', e.message);
+    return res.status(503).json({ error: 'Quota check unavailable' });
+  }
+  
+  if (!quota.allowed) {
     return res.status(403).json({
       error: 'Daily pick limit reached',
-      limit: tierConfig.picksPerDay,
-      used: user.picksToday,
+      limit: quota.limit,
+      used: quota.used,
+      resetsAt: quota.resetsAt,
       upgradeUrl: '/upgrade',
       message: tier === 'FREE' ? 'Upgrade to Pro for unlimited picks' : 'Daily limit reached'
     });
   }
   
-  user.picksToday++;
+  try {
+    // Picks are priced at the best line among the user's own books when set
+    const books = req.query.books === 'all' ? null : user.preferences?.books;
+    const { picks, errors } = await odds.scan({ sports, minEdge, books });
+    if (user.staking) {
+      for (const pick of picks) pick.recommendedStake = recommendStake(user.staking, { ...pick, americanOdds: pick.odds });
+    }
+    if (features.includes('weather')) {
+      await weather.annotatePicks(picks).catch(e => console.error('Weather annotation failed:', e.message));
+    }
+    
+    res.json({
+      picks,
+      errors: errors.length ? errors : undefined,
+      provider: odds.provider,
+      generatedAt: new Date().toISOString(),
+      remainingPicks: quota.remaining,
+      quotaResetsAt: quota.resetsAt
+    });
+  } catch (e) {
+    console.error('Scan error:', e);
+    await quotas.refund('picks', user.id).catch(() => {});
+    res.status(502).json({ error: 'Failed to load odds' });
+  }
+});
+
+// ── TRACK RECORD ───────────────────────────────────────────────────────────────
+// Performance of every pick the model has issued (lib/ledger.js), at flat one-unit
+// stakes. Filters: ?sport=NFL&from=2026-09-01&to=2026-09-30 (by issue date).
+function trackRecordFilters(req, res) {
+  const sport = req.query.sport ? String(req.query.sport).toUpperCase() : undefined;
+  if (sport && !SPORTS[sport]) {
+    res.status(400).json({ error: `sport must be one of: ${Object.keys(SPORTS).join(', ')}` });
+    return null;
+  }
+  for (const param of ['from', 'to', 'before']) {
+    if (req.query[param] && isNaN(new Date(req.query[param]))) {
+      res.status(400).json({ error: `${param} must be a date` });
+      return null;
+    }
+  }
+  return { sport, from: req.query.from, to: req.query.to };
+}
+
+app.get('/track-record', authMiddleware, async (req, res) => {
+  const filters = trackRecordFilters(req, res);
+  if (!filters) return;
+  try {
+    res.json(await ledger.trackRecord(filters));
+  } catch (e) {
+    console.error('GET /track-record error:', e.message);
+    res.status(500).json({ error: 'Failed to load track record' });
+  }
+});
+
+// GET /track-record/picks?sport=&from=&to=&before=&limit=  —  graded history,
+// newest first. Picks whose games haven't started stay behind the paywall.
+app.get('/track-record/picks', authMiddleware, async (req, res) => {
+  const filters = trackRecordFilters(req, res);
+  if (!filters) return;
+  try {
+    const picks = await ledger.list({ ...filters, before: req.query.before, limit: Math.min(Number(req.query.limit) || 100, 500) });
+    const now = Date.now();
+    res.json({ picks: picks.filter(p => new Date(p.commenceTime).getTime() <= now) });
+  } catch (e) {
+    console.error('GET /track-record/picks error:', e.message);
+    res.status(500).json({ error: 'Failed to load picks' });
+  }
+});
+
+// GET /track-record/public  —  unauthenticated headline numbers for the landing page
+const publicPeriod = (r) => ({ graded: r.graded, wins: r.wins, losses: r.losses, pushes: r.pushes, hitRate: r.hitRate, units: r.units, roi: r.roi });
+
+app.get('/track-record/public', rateLimit('track_record', { limit: 60, windowSeconds: 60 }), async (req, res) => {
+  try {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 3600 * 1000).toISOString().slice(0, 10);
+    const [last30, last90, allTime] = await Promise.all([
+      ledger.trackRecord({ from: daysAgo(30) }),
+      ledger.trackRecord({ from: daysAgo(90) }),
+      ledger.trackRecord()
+    ]);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      last30Days: publicPeriod(last30),
+      last90Days: publicPeriod(last90),
+      allTime: {
+        ...publicPeriod(allTime),
+        since: allTime.firstIssuedAt,
+        bySport: Object.fromEntries(Object.entries(allTime.bySport).map(([sport, r]) => [sport, publicPeriod(r)])),
+        byConfidence: allTime.byConfidence.map(b => ({ bucket: b.bucket, graded: b.graded, hitRate: b.hitRate, roi: b.roi })),
+        calibration: allTime.calibration
+      },
+      stakingBasis: 'flat 1 unit per pick at the odds issued',
+      generatedAt: allTime.generatedAt
+    });
+  } catch (e) {
+    console.error('GET /track-record/public error:', e.message);
+    res.status(500).json({ error: 'Failed to load track record' });
+  }
+});
+
+// ── LINE SHOPPING ──────────────────────────────────────────────────────────────
+// Books default to the user's onboarding `preferences.books`; ?books=all shows every
+// book and ?books=draftkings,fanduel overrides for one request.
+function requestedBooks(req) {
+  if (req.query.books === 'all') return null;
+  if (req.query.books) return String(req.query.books).split(',');
+  return req.user.preferences?.books;
+}
+
+function requestedSport(req, res) {
+  const sport = String(req.params.sport).toUpperCase();
+  if (!SPORTS[sport]) {
+    res.status(400).json({ error: `sport must be one of: ${Object.keys(SPORTS).join(', ')}` });
+    return null;
+  }
+  return sport;
+}
+
+// GET /lines/:sport  —  upcoming events with ids for line shopping
+app.get('/lines/:sport', authMiddleware, requireFeature('line_shopping'), async (req, res) => {
+  const sport = requestedSport(req, res);
+  if (!sport) return;
+  try {
+    const events = await odds.getEvents(sport);
+    res.json({
+      sport,
+      events: events.map(e => ({
+        eventId: e.id,
+        homeTeam: e.home_team,
+        awayTeam: e.away_team,
+        commenceTime: e.commence_time,
+        books: (e.bookmakers || []).length
+      }))
+    });
+  } catch (e) {
+    console.error('GET /lines error:', e.message);
+    res.status(502).json({ error: 'Failed to load odds' });
+  }
+});
+
+// GET /lines/:sport/:eventId?market=spread&books=  —  every book's price, best first
+app.get('/lines/:sport/:eventId', authMiddleware, requireFeature('line_shopping'), async (req, res) => {
+  const sport = requestedSport(req, res);
+  if (!sport) return;
+  try {
+    const event = (await odds.getEvents(sport)).find(e => e.id === req.params.eventId);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    
+    const books = requestedBooks(req);
+    res.json({
+      sport,
+      eventId: event.id,
+      homeTeam: event.home_team,
+      awayTeam: event.away_team,
+      commenceTime: event.commence_time,
+      books: books || 'all',
+      markets: shopLines(event, { market: req.query.market, books })
+    });
+  } catch (e) {
+    console.error('GET /lines/:eventId error:', e.message);
+    res.status(502).json({ error: 'Failed to load odds' });
+  }
+});
+
+// ── WEATHER ────────────────────────────────────────────────────────────────────
+// GET /weather/:sport  —  forecast, wind relative to the field and adjusted total
+// for every game (outdoor sports only); ?material=true keeps games weather moves.
+// GET /weather/:sport/:eventId  —  one game
+function requestedWeatherSport(req, res) {
+  const sport = requestedSport(req, res);
+  if (sport && !WEATHER_SPORTS.includes(sport)) {
+    res.status(400).json({ error: `weather covers: ${WEATHER_SPORTS.join(', ')}` });
+    return null;
+  }
+  return sport;
+}
+
+app.get('/weather/:sport', authMiddleware, requireFeature('weather'), async (req, res) => {
+  const sport = requestedWeatherSport(req, res);
+  if (!sport) return;
+  try {
+    let games = await weather.forSport(sport);
+    if (req.query.material === 'true') games = games.filter(g => g.material);
+    res.json({ sport, provider: weather.provider, games, generatedAt: new Date().toISOString() });
+  } catch (e) {
+    console.error('GET /weather error:', e.message);
+    res.status(502).json({ error: 'Failed to load weather' });
+  }
+});
+
+app.get('/weather/:sport/:eventId', authMiddleware, requireFeature('weather'), async (req, res) => {
+  const sport = requestedWeatherSport(req, res);
+  if (!sport) return;
+  try {
+    const event = (await odds.getEvents(sport)).find(e => e.id === req.params.eventId);
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    res.json(await weather.forEvent(sport, event));
+  } catch (e) {
+    console.error('GET /weather/:eventId error:', e.message);
+    res.status(502).json({ error: 'Failed to load weather' });
+  }
+});
+
+// ── STEAM MOVES ────────────────────────────────────────────────────────────────
+// GET /steam?sport=NBA&since=ISO&limit=50  —  recent steam and reverse line moves
+app.get('/steam', authMiddleware, requireFeature('steam_moves'), async (req, res) => {
+  const sport = req.query.sport ? String(req.query.sport).toUpperCase() : null;
+  if (sport && !SPORTS[sport]) {
+    return res.status(400).json({ error: `sport must be one of: ${Object.keys(SPORTS).join(', ')}` });
+  }
+  try {
+    const moves = await steam.feed({ since: req.query.since, sport, limit: Math.min(Number(req.query.limit) || 50, 200) });
+    res.json({ moves, count: moves.length, thresholds: sport ? steam.thresholds[sport] : steam.thresholds });
+  } catch (e) {
+    console.error('GET /steam error:', e.message);
+    res.status(500).json({ error: 'Failed to load steam moves' });
+  }
+});
+
+// ── ARBITRAGE & MIDDLES ────────────────────────────────────────────────────────
+// GET /arbs?sport=NBA,NFL&bankroll=1000&middles=false  —  open arbs and middles with
+// stake splits. An opportunity keeps its firstSeenAt until it disappears.
+app.get('/arbs', authMiddleware, requireFeature('arb_alerts'), async (req, res) => {
+  const sports = req.query.sport
+    ? String(req.query.sport).toUpperCase().split(',').filter(s => SPORTS[s])
+    : Object.keys(SPORTS);
+  if (!sports.length) {
+    return res.status(400).json({ error: `sport must be one of: ${Object.keys(SPORTS).join(', ')}` });
+  }
+  const bankroll = Number(req.query.bankroll ?? req.user.staking?.bankroll ?? req.user.preferences?.bankroll) || 1000;
   
-  // Return mock picks (integrate real odds API in production)
-  res.json({
-    picks: [
-      { id: 1, bet: 'Lakers -4.5', odds: '-110', edge: 5.2, confidence: 72, sport: 'NBA' },
-      { id: 2, bet: 'Chiefs ML', odds: '+150', edge: 3.8, confidence: 65, sport: 'NFL' }
-    ],
-    remainingPicks: tierConfig.picksPerDay - user.picksToday
+  try {
+    const { opportunities, errors } = await arbs.scan({ sports, bankroll, includeMiddles: req.query.middles !== 'false' });
+    res.json({
+      opportunities,
+      count: opportunities.length,
+      bankroll,
+      errors: errors.length ? errors : undefined,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (e) {
+    console.error('GET /arbs error:', e.message);
+    res.status(502).json({ error: 'Failed to scan for arbitrage' });
+  }
+});
+
+// ── REAL-TIME STREAM (SSE) ─────────────────────────────────────────────────────
+// EventSource can't send headers, so browsers first POST /stream/ticket with their
+// access token and open GET /stream?ticket=... with the single-use ticket.
+// Events: `pick`, `steam`, `arb`, filtered by tier features and preferred sports.
+const STREAM_TICKET_TTL = 60;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const streamClients = new Set();
+
+bus.onEvent((event) => {
+  for (const client of streamClients) {
+    if (shouldDeliver(event, client)) client.send(event);
+  }
+});
+
+app.post('/stream/ticket', authMiddleware, async (req, res) => {
+  try {
+    const ticket = await oneTimeTokens.issue('stream', req.user.id, STREAM_TICKET_TTL);
+    res.json({ ticket, expiresIn: STREAM_TICKET_TTL });
+  } catch (e) {
+    console.error('Stream ticket failed:', e.message);
+    res.status(500).json({ error: 'Failed to create stream ticket' });
+  }
+});
+
+app.get('/stream', async (req, res) => {
+  let user;
+  try {
+    let userId = null;
+    if (req.query.ticket) {
+      userId = await oneTimeTokens.consume('stream', req.query.ticket);
+    } else if (req.headers.authorization) {
+      userId = (await tokens.verify(req.headers.authorization.replace('Bearer ', ''))).sub;
+    }
+    user = userId && await users.get(userId);
+  } catch (e) {
+    if (!(e instanceof TokenError)) console.error('Stream auth failed:', e.message);
+  }
+  if (!user) return res.status(401).json({ error: 'Invalid ticket or token' });
+  
+  const { tier, features } = entitlements.resolve(user);
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const client = {
+    userId: user.id,
+    features,
+    sports: (user.preferences?.sports || []).map(s => String(s).toUpperCase()),
+    send: (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, publishedAt: event.at })}\n\n`)
+  };
+  streamClients.add(client);
+  res.write(`event: ready\ndata: ${JSON.stringify({ tier, features: client.features, sports: client.sports })}\n\n`);
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streamClients.delete(client);
   });
 });
 
+// ── PARLAY BUILDER ─────────────────────────────────────────────────────────────
+// POST /parlay  { legs: [{ odds, selection, market, sport, eventId?, fairProb?, oppositeOdds?, result? }],
+//                 bankroll?, kellyFraction?, rejectCorrelated? }
+// Legs that name a scanned eventId without a fairProb are priced off the live consensus line.
+app.post('/parlay', authMiddleware, requireFeature('parlay_builder'), async (req, res) => {
+  const { legs, bankroll, kellyFraction, rejectCorrelated } = req.body;
+  if (!Array.isArray(legs)) return res.status(400).json({ error: 'legs must be an array' });
+  
+  try {
+    const enriched = await Promise.all(legs.map(async (leg) => {
+      if (leg.fairProb != null || leg.oppositeOdds != null || !leg.eventId || !SPORTS[leg.sport]) return leg;
+      try {
+        const event = (await odds.getEvents(leg.sport)).find(e => e.id === leg.eventId);
+        const found = event && findOutcome(event, leg);
+        return found ? { ...leg, fairProb: found.outcome.fairProb } : leg;
+      } catch (e) {
+        console.error('Parlay leg lookup failed:', e.message);
+        return leg;
+      }
+    }));
+    
+    const fraction = Number(kellyFraction);
+    const plan = req.user.staking;
+    const priced = priceParlay(enriched, {
+      bankroll: bankroll ?? plan?.bankroll ?? req.user.preferences?.bankroll,
+      kellyFraction: fraction > 0 && fraction <= 1 ? fraction : plan?.kellyFraction,
+      rejectCorrelated: !!rejectCorrelated
+    });
+    if (plan && priced.status === 'pending') {
+      priced.recommendedStake = recommendStake(plan, { fairProb: priced.fairProb, decimalOdds: priced.decimalOdds, parlay: true });
+    }
+    res.json(priced);
+  } catch (e) {
+    if (e instanceof ParlayError) {
+      return res.status(422).json({ error: e.message, legs: e.legs, correlations: e.correlations });
+    }
+    console.error('POST /parlay error:', e.message);
+    res.status(500).json({ error: 'Failed to price parlay' });
+  }
+});
+
 // ── ONBOARDING ─────────────────────────────────────────────────────────────────
-app.post('/onboarding/complete', authMiddleware, (req, res) => {
+// Staking fields (bankroll, unitSize, stakingStrategy, kellyFraction, maxStakePct)
+// set up the user's staking plan; see lib/staking.js.
+app.post('/onboarding/complete', authMiddleware, async (req, res) => {
   const user = req.user;
-  user.onboardingCompleted = true;
-  user.preferences = req.body;
-  res.json({ success: true });
+  try {
+    if (req.body.bankroll != null && req.body.bankroll !== '') {
+      user.staking = validatePlan(stakingInput(req.body), user.staking);
+    }
+    user.onboardingCompleted = true;
+    user.preferences = req.body;
+    // IANA zone from the browser (Intl.DateTimeFormat().resolvedOptions().timeZone)
+    if (isTimeZone(req.body.timezone)) user.timezone = req.body.timezone;
+    await users.save(user);
+    res.json({ success: true, staking: user.staking || null });
+  } catch (e) {
+    if (e instanceof StakingError) return res.status(e.status).json({ error: e.message });
+    console.error('POST /onboarding/complete error:', e.message);
+    res.status(500).json({ error: 'Failed to complete onboarding' });
+  }
+});
+
+// ── STAKING ────────────────────────────────────────────────────────────────────
+// Onboarding and PUT /staking share field names with the rest of preferences
+const stakingInput = (body) => ({
+  strategy: body.stakingStrategy ?? body.strategy,
+  bankroll: body.bankroll,
+  unitSize: body.unitSize,
+  kellyFraction: body.kellyFraction,
+  maxPct: body.maxStakePct ?? body.maxPct
+});
+
+// Recomputes a user's staking bankroll from their journal; no-op without a plan
+async function refreshBankroll(userId) {
+  const user = await users.get(userId);
+  if (!user?.staking) return null;
+  const bankroll = bankrollFrom(user.staking, await journal.list(user.id, { from: user.staking.startedAt }));
+  if (bankroll !== user.staking.bankroll) {
+    user.staking = { ...user.staking, bankroll, bankrollUpdatedAt: new Date().toISOString() };
+    await users.save(user);
+  }
+  return user.staking;
+}
+
+// After a journal write: guests have no plan, and a failed refresh is caught up
+// on the next settlement
+async function syncBankroll(req) {
+  if (req.guest) return;
+  await refreshBankroll(req.journalId).catch(e => console.error('Bankroll refresh failed:', e.message));
+}
+
+// GET /staking  —  the plan with its current bankroll
+app.get('/staking', authMiddleware, async (req, res) => {
+  try {
+    const staking = await refreshBankroll(req.user.id);
+    res.json({ staking, strategies: STRATEGIES });
+  } catch (e) {
+    console.error('GET /staking error:', e.message);
+    res.status(500).json({ error: 'Failed to load staking plan' });
+  }
+});
+
+// PUT /staking { stakingStrategy?, bankroll?, unitSize?, kellyFraction?, maxStakePct? }
+// A new bankroll restarts the plan: only bets placed from now on move it.
+app.put('/staking', authMiddleware, async (req, res) => {
+  const user = req.user;
+  try {
+    user.staking = validatePlan(stakingInput(req.body), user.staking);
+    await users.save(user);
+    res.json({ success: true, staking: await refreshBankroll(user.id) });
+  } catch (e) {
+    if (e instanceof StakingError) return res.status(e.status).json({ error: e.message });
+    console.error('PUT /staking error:', e.message);
+    res.status(500).json({ error: 'Failed to save staking plan' });
+  }
 });
 
 // ── BET TRACKER (Redis-backed) ─────────────────────────────────────────────────
-// Key schema: bets:{userId}  →  JSON array of bet objects
-// userId = user's email address (or username for guests)
+// Bets live in a per-journal hash (see lib/journal.js).
+// journalId = the signed-in user's id, or the device id of a guest token.
+// Legacy key: bets:{id}  →  JSON array from the old full-sync API, imported on first access
+
+const betKey = (journalId) => `bets:${journalId.toLowerCase().trim()}`;
+
+function sendJournalError(res, e, label) {
+  if (e instanceof JournalError) {
+    return res.status(e.status).json({ error: e.message, errors: e.errors, bet: e.bet });
+  }
+  console.error(`${label} error:`, e.message);
+  res.status(500).json({ error: `${label} failed` });
+}
+
+// Accepts a guest token or a regular access token and sets req.journalId
+async function journalAuth(req, res, next) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) return res.status(401).json({ error: 'No token' });
+  
+  const withJournal = async () => {
+    try {
+      await journal.importLegacy(req.journalId, betKey(req.journalId));
+      if (req.user) await claimLegacyJournal(req.user);
+    } catch (e) {
+      console.error('Legacy journal migration failed:', e.message);
+    }
+    next();
+  };
+  
+  try {
+    const claims = await tokens.verify(token, 'guest');
+    req.journalId = claims.sub;
+    req.guest = true;
+    return withJournal();
+  } catch (e) {
+    if (!(e instanceof TokenError)) {
+      console.error('Auth lookup failed:', e.message);
+      return res.status(503).json({ error: 'Auth unavailable' });
+    }
+  }
+  
+  authMiddleware(req, res, () => {
+    req.journalId = req.user.id;
+    withJournal();
+  });
+}
+
+// Journals used to be keyed by email with no auth. Hand one over to the account
+// only once the address is proven (verified email or OAuth provider).
+async function claimLegacyJournal(user) {
+  if (!user.email || user.legacyJournalClaimed) return;
+  if (!user.emailVerified && user.provider === 'email') return;
+  
+  await journal.importLegacy(user.id, betKey(user.email));
+  user.legacyJournalClaimed = true;
+  await users.save(user);
+}
 
-const betKey = (userId) => `bets:${userId.toLowerCase().trim()}`;
+// Version for optimistic concurrency, from `If-Match: "3"` or body.version
+function expectedVersion(req) {
+  const header = req.headers['if-match'];
+  if (header) return Number(String(header).replace(/^W\//, '').replace(/"/g, ''));
+  return req.body.version != null ? Number(req.body.version) : null;
+}
 
-// GET /bets?userId=email  —  fetch all bets for a user
-app.get('/bets', async (req, res) => {
-  const { userId } = req.query;
-  if (!userId) return res.status(400).json({ error: 'userId required' });
+// POST /auth/guest  —  start an anonymous journal on this device
+app.post('/auth/guest', (req, res) => {
+  res.json(tokens.issueGuest());
+});
+
+// GET /bets?from=&to=  —  fetch bets in the caller's journal, newest first
+app.get('/bets', journalAuth, async (req, res) => {
   try {
-    const raw = await redis.get(betKey(userId));
-    const bets = raw ? JSON.parse(raw) : [];
+    const bets = await journal.list(req.journalId, { from: req.query.from, to: req.query.to });
     res.json({ bets, count: bets.length });
   } catch (e) {
     console.error('GET /bets error:', e.message);
@@ -535,74 +1649,653 @@ app.get('/bets', async (req, res) => {
   }
 });
 
-// POST /bets  —  save full bets array for a user (full sync)
-app.post('/bets', async (req, res) => {
-  const { userId, bets } = req.body;
-  if (!userId) return res.status(400).json({ error: 'userId required' });
-  if (!Array.isArray(bets)) return res.status(400).json({ error: 'bets must be an array' });
+// GET /bets/export?from=&to=&format=csv|json  —  the journal (by placed date),
+// oldest first, with profit per settled bet
+const EXPORT_COLUMNS = [
+  'id', 'placedAt', 'settledAt', 'sport', 'market', 'selection', 'point', 'book',
+  'americanOdds', 'decimalOdds', 'stake', 'outcome',
+  ['profit', (b) => (b.outcome === 'pending' ? '' : Math.round(betProfit(b) * 100) / 100)],
+  'commenceTime', 'eventId',
+  ['tags', (b) => (b.tags || []).join(';')],
+  'notes'
+];
+
+app.get('/bets/export', journalAuth, async (req, res) => {
+  for (const param of ['from', 'to']) {
+    if (req.query[param] && isNaN(new Date(req.query[param]))) return res.status(400).json({ error: `${param} must be a date` });
+  }
+  
+  try {
+    const bets = (await journal.list(req.journalId, { from: req.query.from, to: req.query.to })).reverse();
+    const range = [req.query.from, req.query.to].map(d => (d ? new Date(d).toISOString().slice(0, 10) : null));
+    const filename = `bets${range[0] ? `-from-${range[0]}` : ''}${range[1] ? `-to-${range[1]}` : ''}`;
+    
+    if (req.query.format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json({ exportedAt: new Date().toISOString(), from: req.query.from || null, to: req.query.to || null, count: bets.length, bets });
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(toCsv(bets, EXPORT_COLUMNS));
+  } catch (e) {
+    console.error('GET /bets/export error:', e.message);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+// POST /bets/import/preview { csv | rows, format?, mapping?, oddsFormat?, dateOrder?, timezone?, book? }
+// parses a CSV or sportsbook history export without saving anything. Each row
+// comes back as new, duplicate (of a journal bet or an earlier row) or invalid.
+// `format` is auto-detected from the headers unless given (see lib/betImport.js).
+app.post('/bets/import/preview', journalAuth, async (req, res) => {
+  try {
+    const preview = await betImporter.preview(req.journalId, {
+      ...req.body,
+      timezone: req.body.timezone || (req.user ? userTimezone(req.user) : 'UTC')
+    });
+    res.json(preview);
+  } catch (e) {
+    sendJournalError(res, e, 'POST /bets/import/preview');
+  }
+});
+
+// POST /bets/import/commit { importId, include? }  —  saves a preview's new rows,
+// plus duplicate rows whose numbers are listed in `include`
+app.post('/bets/import/commit', journalAuth, async (req, res) => {
+  if (!req.body.importId) return res.status(400).json({ error: 'importId required' });
+  try {
+    const { created, skipped } = await betImporter.commit(req.journalId, String(req.body.importId), { include: req.body.include });
+    for (const bet of created) await clv.track(req.journalId, bet);
+    if (created.length) await syncBankroll(req);
+    res.json({ success: true, created: created.length, skipped, bets: created });
+  } catch (e) {
+    sendJournalError(res, e, 'POST /bets/import/commit');
+  }
+});
+
+// GET /bets/:betId  —  one bet, with its version as the ETag
+app.get('/bets/:betId', journalAuth, async (req, res) => {
+  try {
+    const bet = await journal.get(req.journalId, req.params.betId);
+    if (!bet) return res.status(404).json({ error: 'Bet not found' });
+    res.set('ETag', `"${bet.version}"`).json({ bet });
+  } catch (e) {
+    sendJournalError(res, e, 'GET /bets/:betId');
+  }
+});
+
+// POST /bets  —  create one bet ({ bet } or the bet fields as the body).
+// Clients still sending { bets: [...] } get create-if-absent per bet; nothing
+// already stored is overwritten or removed.
+app.post('/bets', journalAuth, async (req, res) => {
+  try {
+    if (Array.isArray(req.body.bets)) {
+      const created = [];
+      const skipped = [];
+      const rejected = [];
+      for (const input of req.body.bets) {
+        try {
+          const bet = await journal.create(req.journalId, input);
+          await clv.track(req.journalId, bet);
+          created.push(bet);
+        } catch (e) {
+          if (!(e instanceof JournalError)) throw e;
+          if (e.status === 409) skipped.push(input.id);
+          else rejected.push({ id: input?.id, errors: e.errors });
+        }
+      }
+      await syncBankroll(req);
+      return res.json({ success: true, created: created.length, skipped, rejected, bets: created });
+    }
+    
+    const bet = await journal.create(req.journalId, req.body.bet || req.body);
+    await clv.track(req.journalId, bet);
+    if (bet.outcome !== 'pending') await syncBankroll(req);
+    res.status(201).set('ETag', `"${bet.version}"`).json({ success: true, bet });
+  } catch (e) {
+    sendJournalError(res, e, 'POST /bets');
+  }
+});
+
+// POST /bets/merge  —  move a guest journal into the signed-in account
+app.post('/bets/merge', authMiddleware, async (req, res) => {
+  const { guestToken } = req.body;
+  if (!guestToken) return res.status(400).json({ error: 'guestToken required' });
+  
+  let claims;
+  try {
+    claims = await tokens.verify(guestToken, 'guest');
+  } catch (e) {
+    if (e instanceof TokenError) return res.status(401).json({ error: 'Invalid guest token' });
+    console.error('Guest token check failed:', e.message);
+    return res.status(503).json({ error: 'Auth unavailable' });
+  }
+  
+  try {
+    await journal.importLegacy(claims.sub, betKey(claims.sub));
+    const result = await journal.merge(claims.sub, req.user.id);
+    await tokens.revoke(guestToken);
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('POST /bets/merge error:', e.message);
+    res.status(500).json({ error: 'Failed to merge bets' });
+  }
+});
+
+// PATCH /bets/outcome  —  update a single bet's outcome (version optional)
+app.patch('/bets/outcome', journalAuth, async (req, res) => {
+  const { betId, outcome } = req.body;
+  if (!betId || !outcome) return res.status(400).json({ error: 'betId, outcome required' });
   try {
-    await redis.set(betKey(userId), JSON.stringify(bets));
-    res.json({ success: true, count: bets.length });
+    let bet = await journal.update(req.journalId, betId, { outcome }, expectedVersion(req));
+    // Settling closes the book on CLV: capture it now or record that it was missed
+    if (outcome !== 'pending') bet = await clv.capture(req.journalId, bet);
+    await syncBankroll(req);
+    res.json({ success: true, bet });
   } catch (e) {
-    console.error('POST /bets error:', e.message);
-    res.status(500).json({ error: 'Failed to save bets' });
+    sendJournalError(res, e, 'PATCH /bets/outcome');
   }
 });
 
-// PATCH /bets/outcome  —  update a single bet's outcome without sending the full array
-app.patch('/bets/outcome', async (req, res) => {
-  const { userId, betId, outcome } = req.body;
-  if (!userId || !betId || !outcome) return res.status(400).json({ error: 'userId, betId, outcome required' });
-  const validOutcomes = ['pending', 'win', 'loss', 'push'];
-  if (!validOutcomes.includes(outcome)) return res.status(400).json({ error: `outcome must be one of: ${validOutcomes.join(', ')}` });
+// PATCH /bets/:betId  —  partial update; requires the version being edited
+app.patch('/bets/:betId', journalAuth, async (req, res) => {
+  const version = expectedVersion(req);
+  if (version == null || isNaN(version)) {
+    return res.status(428).json({ error: 'If-Match header or version required' });
+  }
   try {
-    const raw = await redis.get(betKey(userId));
-    const bets = raw ? JSON.parse(raw) : [];
-    const idx = bets.findIndex(b => String(b.id) === String(betId));
-    if (idx === -1) return res.status(404).json({ error: 'Bet not found' });
-    bets[idx].outcome = outcome;
-    bets[idx].settledAt = new Date().toISOString();
-    await redis.set(betKey(userId), JSON.stringify(bets));
-    res.json({ success: true, bet: bets[idx] });
+    const { version: _, ...changes } = req.body;
+    const bet = await journal.update(req.journalId, req.params.betId, changes, version);
+    await clv.track(req.journalId, bet);
+    await syncBankroll(req);
+    res.set('ETag', `"${bet.version}"`).json({ success: true, bet });
   } catch (e) {
-    console.error('PATCH /bets/outcome error:', e.message);
-    res.status(500).json({ error: 'Failed to update bet outcome' });
+    sendJournalError(res, e, 'PATCH /bets/:betId');
   }
 });
 
 // DELETE /bets/:betId  —  remove a single bet
-app.delete('/bets/:betId', async (req, res) => {
-  const { userId } = req.body;
-  const { betId } = req.params;
-  if (!userId) return res.status(400).json({ error: 'userId required in body' });
+app.delete('/bets/:betId', journalAuth, async (req, res) => {
   try {
-    const raw = await redis.get(betKey(userId));
-    const bets = raw ? JSON.parse(raw) : [];
-    const filtered = bets.filter(b => String(b.id) !== String(betId));
-    await redis.set(betKey(userId), JSON.stringify(filtered));
-    res.json({ success: true, removed: bets.length - filtered.length });
+    const removed = await journal.remove(req.journalId, req.params.betId);
+    if (removed) await syncBankroll(req);
+    res.json({ success: true, removed });
   } catch (e) {
     console.error('DELETE /bets error:', e.message);
     res.status(500).json({ error: 'Failed to delete bet' });
   }
 });
 
+// ── ANALYTICS ──────────────────────────────────────────────────────────────────
+// GET /analytics?from=&to=&bankroll=&unit=  —  P/L, ROI, streaks, drawdown and
+// breakdowns over the journal. Bankroll and unit default to the staking plan,
+// then onboarding preferences.
+app.get('/analytics', authMiddleware, requireFeature('analytics'), async (req, res) => {
+  const prefs = req.user.preferences || {};
+  try {
+    const bets = await journal.list(req.user.id, { from: req.query.from, to: req.query.to });
+    res.json({
+      ...computeAnalytics(bets, {
+        startingBankroll: req.query.bankroll ?? req.user.staking?.startingBankroll ?? prefs.bankroll,
+        unit: req.query.unit ?? req.user.staking?.unitSize ?? prefs.unitSize
+      }),
+      clv: clvStats(bets)
+    });
+  } catch (e) {
+    console.error('GET /analytics error:', e.message);
+    res.status(500).json({ error: 'Failed to compute analytics' });
+  }
+});
+
+// GET /analytics/clv?from=&to=  —  closing line value summary plus each captured bet
+app.get('/analytics/clv', authMiddleware, requireFeature('analytics'), async (req, res) => {
+  try {
+    const bets = await journal.list(req.user.id, { from: req.query.from, to: req.query.to });
+    res.json({
+      ...clvStats(bets),
+      bets: bets.filter(b => b.clv).map(b => ({ id: b.id, selection: b.selection, sport: b.sport, americanOdds: b.americanOdds, clv: b.clv }))
+    });
+  } catch (e) {
+    console.error('GET /analytics/clv error:', e.message);
+    res.status(500).json({ error: 'Failed to compute CLV' });
+  }
+});
+
+// ── NOTIFICATIONS ──────────────────────────────────────────────────────────────
+// GET/PUT /notifications/settings  —  channels, per-event subscriptions, quiet hours
+// and the Discord account that receives the SHARP role. PUT replaces the settings.
+app.get('/notifications/settings', authMiddleware, (req, res) => {
+  res.json({
+    settings: req.user.notifications || { channels: {}, subscriptions: {}, quietHours: null, discordUserId: null },
+    events: NOTIFY_EVENTS
+  });
+});
+
+app.put('/notifications/settings', authMiddleware, async (req, res) => {
+  try {
+    const settings = await notifier.saveSettings(req.user, req.body);
+    res.json({ success: true, settings });
+  } catch (e) {
+    if (e instanceof NotificationError) return res.status(e.status).json({ error: e.message, errors: e.errors });
+    console.error('PUT /notifications/settings error:', e.message);
+    res.status(500).json({ error: 'Failed to save notification settings' });
+  }
+});
+
+// POST /notifications/test  —  queue a test message on every configured channel
+app.post('/notifications/test', authMiddleware, async (req, res) => {
+  try {
+    const channels = await notifier.sendTest(req.user);
+    if (!channels.length) return res.status(400).json({ error: 'No notification channels configured' });
+    res.json({ success: true, channels });
+  } catch (e) {
+    console.error('POST /notifications/test error:', e.message);
+    res.status(500).json({ error: 'Failed to queue test notification' });
+  }
+});
+
+// ── ADMIN ──────────────────────────────────────────────────────────────────────
+// Operator routes for users with role 'admin' (see requireAdmin). Every action
+// that reads or changes a user's data is written to the audit log (lib/audit.js).
+const adminOnly = [authMiddleware, requireAdmin];
+const ADMIN_SCAN_PAGES = 50;
+
+// Loads :userId into req.target
+async function adminTarget(req, res, next) {
+  try {
+    req.target = await users.get(req.params.userId);
+  } catch (e) {
+    console.error('Admin user lookup failed:', e.message);
+    return res.status(503).json({ error: 'User lookup unavailable' });
+  }
+  if (!req.target) return res.status(404).json({ error: 'User not found' });
+  next();
+}
+
+function auditAdmin(req, action, details = {}) {
+  return audit.record({ actor: req.user.id, action, target: req.target?.id || null, details, ip: req.ip });
+}
+
+// The user record minus credentials and signing secrets
+function adminView(user) {
+  const { password, passwordHash, ...rest } = user;
+  const webhook = rest.notifications?.channels?.webhook;
+  if (webhook) {
+    rest.notifications = {
+      ...rest.notifications,
+      channels: { ...rest.notifications.channels, webhook: { url: webhook.url, secret: '••••' } }
+    };
+  }
+  return { ...rest, hasPassword: !!(password || passwordHash) };
+}
+
+// First move from FREE onto a paid tier through billing (not an admin override)
+function conversionOf(user) {
+  const paid = (user.tierHistory || []).find(h => h.from === 'FREE' && h.to !== 'FREE');
+  if (paid) return { converted: true, convertedAt: paid.at, tier: paid.to };
+  return { converted: !!user.subscriptionId, convertedAt: null, tier: user.subscriptionId ? user.plan || user.tier : null };
+}
+
+// Walks users:all calling `visit(user)` until it returns false or the set ends.
+// Returns the cursor to resume from, or null when every user was seen.
+async function scanUsers(cursor, visit, { maxPages = Infinity } = {}) {
+  let pages = 0;
+  do {
+    const page = await users.scan(cursor);
+    cursor = page.cursor;
+    for (const user of page.users) {
+      if (visit(user) === false) return cursor === '0' ? null : cursor;
+    }
+    pages++;
+  } while (cursor !== '0' && pages < maxPages);
+  return cursor === '0' ? null : cursor;
+}
+
+// GET /admin/users?q=&tier=&provider=&limit=&cursor=  —  search by id, email or
+// name. Results come a page at a time; pass nextCursor back for more.
+app.get('/admin/users', adminOnly, async (req, res) => {
+  const q = String(req.query.q || '').toLowerCase().trim();
+  const tier = req.query.tier ? String(req.query.tier).toUpperCase() : null;
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const matches = [];
+  
+  try {
+    const nextCursor = await scanUsers(String(req.query.cursor || '0'), (user) => {
+      const granted = entitlements.resolve(user);
+      if (q && ![user.id, user.email, user.name].some(v => String(v || '').toLowerCase().includes(q))) return;
+      if (tier && granted.tier !== tier) return;
+      if (req.query.provider && user.provider !== req.query.provider) return;
+      matches.push({
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        provider: user.provider,
+        role: user.role || 'user',
+        tier: granted.tier,
+        tierSource: granted.source,
+        subscriptionStatus: user.subscriptionStatus || null,
+        createdAt: user.createdAt
+      });
+      return matches.length < limit;
+    }, { maxPages: ADMIN_SCAN_PAGES });
+    await auditAdmin(req, 'user.search', {
+      q: q || null,
+      tier,
+      provider: req.query.provider || null,
+      cursor: String(req.query.cursor || '0'),
+      results: matches.length
+    });
+    res.json({ users: matches, nextCursor });
+  } catch (e) {
+    console.error('GET /admin/users error:', e.message);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// GET /admin/users/:userId  —  record, entitlements, today's usage, tier history
+// and live Stripe state
+app.get('/admin/users/:userId', adminOnly, adminTarget, async (req, res) => {
+  const user = req.target;
+  const granted = entitlements.resolve(user);
+  
+  let stripeState = null;
+  if (user.stripeCustomerId && process.env.STRIPE_SECRET_KEY) {
+    try {
+      const [subscriptions, invoices] = await Promise.all([
+        stripe.subscriptions.list({ customer: user.stripeCustomerId, status: 'all', limit: 5 }),
+        stripe.invoices.list({ customer: user.stripeCustomerId, limit: 5 })
+      ]);
+      stripeState = {
+        customerId: user.stripeCustomerId,
+        subscriptions: subscriptions.data.map(s => ({
+          id: s.id,
+          status: s.status,
+          priceId: s.items.data[0]?.price?.id,
+          currentPeriodEnd: new Date(s.current_period_end * 1000).toISOString(),
+          cancelAtPeriodEnd: s.cancel_at_period_end
+        })),
+        invoices: invoices.data.map(i => ({
+          id: i.id,
+          status: i.status,
+          amountPaid: i.amount_paid,
+          currency: i.currency,
+          created: new Date(i.created * 1000).toISOString()
+        }))
+      };
+    } catch (e) {
+      stripeState = { customerId: user.stripeCustomerId, error: e.message };
+    }
+  }
+  
+  try {
+    const picks = await quotas.usage('picks', user.id, { limit: granted.limits.picksPerDay, timezone: userTimezone(user) });
+    await auditAdmin(req, 'user.view');
+    res.json({
+      user: adminView(user),
+      entitlements: granted,
+      usage: { picks },
+      tierHistory: user.tierHistory || [],
+      conversion: conversionOf(user),
+      stripe: stripeState
+    });
+  } catch (e) {
+    console.error('GET /admin/users/:userId error:', e.message);
+    res.status(500).json({ error: 'Failed to load user' });
+  }
+});
+
+// POST /admin/users/:userId/entitlements { tier?, features?, limits?, days | expiresAt, reason }
+// grants time-limited access on top of (never below) the user's subscription,
+// e.g. comp Pro or a higher picksPerDay. One override per user; granting again replaces it.
+app.post('/admin/users/:userId/entitlements', adminOnly, adminTarget, async (req, res) => {
+  try {
+    const user = req.target;
+    user.entitlementOverride = entitlements.buildOverride(req.body, req.user.id);
+    await users.save(user);
+    await notifier.syncDiscordRole(user);
+    await auditAdmin(req, 'entitlements.grant', user.entitlementOverride);
+    res.json({ success: true, override: user.entitlementOverride, entitlements: entitlements.resolve(user) });
+  } catch (e) {
+    if (e instanceof EntitlementError) return res.status(e.status).json({ error: e.message });
+    console.error('Grant override failed:', e.message);
+    res.status(500).json({ error: 'Failed to grant override' });
+  }
+});
+
+app.delete('/admin/users/:userId/entitlements', adminOnly, adminTarget, async (req, res) => {
+  try {
+    const user = req.target;
+    const removed = user.entitlementOverride || null;
+    delete user.entitlementOverride;
+    await users.save(user);
+    await notifier.syncDiscordRole(user);
+    await auditAdmin(req, 'entitlements.revoke', { removed });
+    res.json({ success: true, removed: !!removed, entitlements: entitlements.resolve(user) });
+  } catch (e) {
+    console.error('Revoke override failed:', e.message);
+    res.status(500).json({ error: 'Failed to revoke override' });
+  }
+});
+
+// PUT /admin/users/:userId/quota { picksUsed }  —  correct today's pick usage
+app.put('/admin/users/:userId/quota', adminOnly, adminTarget, async (req, res) => {
+  const used = Number(req.body.picksUsed);
+  if (!Number.isInteger(used) || used < 0) return res.status(400).json({ error: 'picksUsed must be a whole number' });
+  try {
+    const user = req.target;
+    const timezone = userTimezone(user);
+    const before = await quotas.usage('picks', user.id, { limit: entitlements.resolve(user).limits.picksPerDay, timezone });
+    await quotas.set('picks', user.id, { used, timezone });
+    await auditAdmin(req, 'quota.set', { quota: 'picks', from: before.used, to: used });
+    res.json({ success: true, picks: { ...before, used, remaining: Math.max(0, before.limit - used) } });
+  } catch (e) {
+    console.error('Quota override failed:', e.message);
+    res.status(500).json({ error: 'Failed to update quota' });
+  }
+});
+
+// POST /admin/users/:userId/logout  —  revoke every session
+app.post('/admin/users/:userId/logout', adminOnly, adminTarget, async (req, res) => {
+  try {
+    await tokens.revokeAll(req.target.id);
+    await auditAdmin(req, 'sessions.revoke');
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Forced logout failed:', e.message);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// POST /admin/users/:userId/role { role: 'admin' | 'user' }
+app.post('/admin/users/:userId/role', adminOnly, adminTarget, async (req, res) => {
+  const { role } = req.body;
+  if (!['admin', 'user'].includes(role)) return res.status(400).json({ error: "role must be 'admin' or 'user'" });
+  if (req.target.id === req.user.id && role !== 'admin') {
+    return res.status(400).json({ error: 'Admins cannot remove their own role' });
+  }
+  try {
+    const user = req.target;
+    const from = user.role || 'user';
+    if (role === 'admin') user.role = 'admin';
+    else delete user.role;
+    await users.save(user);
+    await auditAdmin(req, 'role.set', { from, to: role });
+    res.json({ success: true, role });
+  } catch (e) {
+    console.error('Role change failed:', e.message);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+// POST /admin/users/:userId/stripe-sync  —  re-read the subscription from Stripe
+// to repair a tier left wrong by a missed webhook
+app.post('/admin/users/:userId/stripe-sync', adminOnly, adminTarget, async (req, res) => {
+  const user = req.target;
+  if (!user.subscriptionId) return res.status(409).json({ error: 'User has no subscription' });
+  try {
+    const fromTier = user.tier || 'FREE';
+    const synced = await billing.applySubscription(user.subscriptionId, { reason: 'admin_sync', user });
+    await auditAdmin(req, 'stripe.sync', { subscriptionId: user.subscriptionId, fromTier, toTier: synced.tier });
+    res.json({ success: true, tier: synced.tier, subscriptionStatus: synced.subscriptionStatus });
+  } catch (e) {
+    console.error('Stripe sync failed:', e.message);
+    res.status(502).json({ error: e.message });
+  }
+});
+
+// POST /admin/users/:userId/refund { invoiceId?, amount?, reason? }  —  refund an
+// invoice (default: the latest paid one), in full or `amount` in cents. The
+// subscription itself is left alone; cancel or override separately.
+app.post('/admin/users/:userId/refund', adminOnly, adminTarget, async (req, res) => {
+  const user = req.target;
+  if (!user.stripeCustomerId) return res.status(409).json({ error: 'User has no billing account' });
+  const amount = req.body.amount != null ? Number(req.body.amount) : undefined;
+  if (amount !== undefined && !(Number.isInteger(amount) && amount > 0)) {
+    return res.status(400).json({ error: 'amount must be a positive number of cents' });
+  }
+  
+  try {
+    const invoice = req.body.invoiceId
+      ? await stripe.invoices.retrieve(req.body.invoiceId)
+      : (await stripe.invoices.list({ customer: user.stripeCustomerId, status: 'paid', limit: 1 })).data[0];
+    if (!invoice || invoice.customer !== user.stripeCustomerId) return res.status(404).json({ error: 'Invoice not found' });
+    if (!invoice.payment_intent) return res.status(409).json({ error: 'Invoice has no payment to refund' });
+    
+    const refund = await stripe.refunds.create({
+      payment_intent: invoice.payment_intent,
+      amount,
+      reason: 'requested_by_customer',
+      metadata: { userId: user.id, adminId: req.user.id, note: String(req.body.reason || '').slice(0, 200) }
+    });
+    await auditAdmin(req, 'stripe.refund', { invoiceId: invoice.id, refundId: refund.id, amount: refund.amount, reason: req.body.reason || null });
+    res.json({ success: true, refund: { id: refund.id, amount: refund.amount, currency: refund.currency, status: refund.status } });
+  } catch (e) {
+    console.error('Refund failed:', e.message);
+    res.status(502).json({ error: e.message });
+  }
+});
+
+// GET /admin/export?type=signups|conversions&from=&to=&format=csv|json  —  users
+// created (signups) or first converted to paid (conversions) in the date range
+app.get('/admin/export', adminOnly, async (req, res) => {
+  const type = req.query.type || 'signups';
+  if (!['signups', 'conversions'].includes(type)) return res.status(400).json({ error: 'type must be signups or conversions' });
+  const from = req.query.from ? new Date(req.query.from).getTime() : -Infinity;
+  const to = req.query.to ? new Date(req.query.to).getTime() : Infinity;
+  if (isNaN(from) || isNaN(to)) return res.status(400).json({ error: 'from and to must be dates' });
+  
+  try {
+    const rows = [];
+    await scanUsers('0', (user) => {
+      const conversion = conversionOf(user);
+      const at = new Date(type === 'signups' ? user.createdAt : conversion.convertedAt || 0).getTime();
+      if (type === 'conversions' && !conversion.converted) return;
+      if (!(at >= from && at <= to)) return;
+      rows.push({
+        id: user.id,
+        email: user.email,
+        provider: user.provider,
+        createdAt: user.createdAt,
+        tier: entitlements.resolve(user).tier,
+        converted: conversion.converted,
+        convertedAt: conversion.convertedAt,
+        convertedTier: conversion.tier
+      });
+    });
+    rows.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    await auditAdmin(req, 'export', { type, from: req.query.from || null, to: req.query.to || null, rows: rows.length });
+    
+    if (req.query.format === 'json') return res.json({ type, count: rows.length, rows });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${type}.csv"`);
+    res.send(toCsv(rows, ['id', 'email', 'provider', 'createdAt', 'tier', 'converted', 'convertedAt', 'convertedTier']));
+  } catch (e) {
+    console.error('GET /admin/export error:', e.message);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
+
+// GET /admin/audit?target=&actor=&action=&before=&limit=  —  newest first
+app.get('/admin/audit', adminOnly, async (req, res) => {
+  try {
+    const entries = await audit.list({
+      target: req.query.target,
+      actor: req.query.actor,
+      action: req.query.action,
+      before: req.query.before,
+      limit: Math.min(Number(req.query.limit) || 100, 500)
+    });
+    await auditAdmin(req, 'audit.view', {
+      target: req.query.target || null,
+      actor: req.query.actor || null,
+      action: req.query.action || null
+    });
+    res.json({ entries });
+  } catch (e) {
+    console.error('GET /admin/audit error:', e.message);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+// POST /admin/promos { code, percentOff | amountOff + currency, duration,
+// durationInMonths?, expiresAt?, maxRedemptions?, tiers? }
+app.post('/admin/promos', adminOnly, async (req, res) => {
+  try {
+    const promo = await promos.create(req.body, req.user.id);
+    await auditAdmin(req, 'promo.create', { code: promo.code, stripeCouponId: promo.stripeCouponId });
+    res.status(201).json({ promo });
+  } catch (e) {
+    if (e instanceof PromoError) return res.status(e.status).json({ error: e.message });
+    console.error('Promo creation failed:', e.message);
+    res.status(500).json({ error: 'Failed to create promo' });
+  }
+});
+
+app.get('/admin/promos', adminOnly, async (req, res) => {
+  try {
+    const list = await promos.list();
+    await auditAdmin(req, 'promo.list', { count: list.length });
+    res.json({ promos: list });
+  } catch (e) {
+    console.error('GET /admin/promos error:', e.message);
+    res.status(500).json({ error: 'Failed to load promos' });
+  }
+});
+
+// DELETE /admin/promos/:code  —  deactivates the code for new checkouts
+app.delete('/admin/promos/:code', adminOnly, async (req, res) => {
+  try {
+    const promo = await promos.deactivate(req.params.code);
+    await auditAdmin(req, 'promo.deactivate', { code: promo.code });
+    res.json({ success: true, promo });
+  } catch (e) {
+    if (e instanceof PromoError) return res.status(e.status).json({ error: e.message });
+    console.error('Promo deactivation failed:', e.message);
+    res.status(500).json({ error: 'Failed to deactivate promo' });
+  }
+});
+
 // ── PLAN STATUS (used by frontend plan checker) ────────────────────────────────
-app.post('/api/plan-status', async (req, res) => {
-  const { userId } = req.body;
-  if (!userId) return res.status(400).json({ error: 'userId required' });
-  const user = Array.from(users.values()).find(u => u.email === userId || u.id === userId);
-  if (!user) return res.json({ plan: 'free', isActive: false });
-  const tier = (user.tier || 'FREE').toLowerCase();
-  const isActive = tier !== 'free' && user.subscriptionStatus === 'active';
-  res.json({ plan: tier, isActive, expiresAt: user.subscriptionCurrentPeriodEnd || null });
+// The server is the source of truth; the frontend should gate on this response,
+// not on anything cached in localStorage.
+app.post('/api/plan-status', authMiddleware, (req, res) => {
+  const granted = entitlements.resolve(req.user);
+  res.json({
+    plan: granted.tier.toLowerCase(),
+    isActive: granted.tier !== 'FREE',
+    source: granted.source,
+    features: granted.features,
+    limits: granted.limits,
+    expiresAt: granted.source === 'override'
+      ? granted.override.expiresAt
+      : req.user.subscriptionCurrentPeriodEnd || null
+  });
 });
 
 // ── STRIPE PORTAL ──────────────────────────────────────────────────────────────
-app.post('/api/create-portal-session', async (req, res) => {
-  const { userId } = req.body;
-  const user = Array.from(users.values()).find(u => u.email === userId || u.id === userId);
-  if (!user?.stripeCustomerId) return res.status(404).json({ error: 'No billing account found' });
+app.post('/api/create-portal-session', authMiddleware, async (req, res) => {
+  const user = req.user;
+  if (!user.stripeCustomerId) return res.status(404).json({ error: 'No billing account found' });
   try {
     const session = await stripe.billingPortal.sessions.create({
       customer: user.stripeCustomerId,
@@ -614,6 +2307,65 @@ app.post('/api/create-portal-session', async (req, res) => {
   }
 });
 
+// ── BACKGROUND JOBS ────────────────────────────────────────────────────────────
+const CLV_CAPTURE_INTERVAL_MS = 60 * 1000;
+const SETTLEMENT_INTERVAL_MS = 15 * 60 * 1000;
+const STEAM_POLL_INTERVAL_MS = 5 * 60 * 1000;
+const NOTIFY_INTERVAL_MS = 10 * 1000;
+const OVERRIDE_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// Opt-in: each poll spends odds quota once per sport per cache TTL
+const STEAM_POLL_SPORTS = (process.env.STEAM_POLL_SPORTS || '').toUpperCase().split(',').filter(s => SPORTS[s]);
+
+// Entitlement overrides lapse without any write to the user, so nothing else
+// would take back the Discord role they granted
+async function sweepExpiredOverrides(now = Date.now()) {
+  let swept = 0;
+  for (const id of await users.overridesExpiredBy(now)) {
+    try {
+      const user = await users.get(id);
+      if (user && !entitlements.resolve(user, now).override) await notifier.syncDiscordRole(user);
+      await users.unindexOverride(id, now);
+      swept++;
+    } catch (e) {
+      console.error(`Override expiry sync failed for ${id}:`, e.message);
+    }
+  }
+  return swept;
+}
+
+function startBackgroundJobs() {
+  setInterval(() => {
+    clv.captureDue().catch(e => console.error('CLV capture pass failed:', e.message));
+  }, CLV_CAPTURE_INTERVAL_MS);
+  
+  setInterval(() => {
+    settlement.run()
+      .then(r => r.settled && console.log(`Auto-settled ${r.settled} bets`))
+      .catch(e => console.error('Settlement pass failed:', e.message));
+    ledger.gradeDue()
+      .then(r => r.graded && console.log(`Graded ${r.graded} ledger picks`))
+      .catch(e => console.error('Ledger grading pass failed:', e.message));
+  }, SETTLEMENT_INTERVAL_MS);
+  
+  setInterval(() => {
+    notifier.processDue()
+      .then(r => r.dead && console.error(`${r.dead} notifications failed permanently`))
+      .catch(e => console.error('Notification pass failed:', e.message));
+  }, NOTIFY_INTERVAL_MS);
+  
+  setInterval(() => {
+    sweepExpiredOverrides().catch(e => console.error('Override expiry sweep failed:', e.message));
+  }, OVERRIDE_SWEEP_INTERVAL_MS);
+  
+  if (STEAM_POLL_SPORTS.length) {
+    setInterval(async () => {
+      for (const sport of STEAM_POLL_SPORTS) {
+        await odds.getEvents(sport).catch(e => console.error(`Steam poll failed for ${sport}:`, e.message));
+      }
+    }, STEAM_POLL_INTERVAL_MS);
+  }
+}
+
 // ── BASE ───────────────────────────────────────────────────────────────────────
 app.get('/', (req, res) => res.json({
   status: 'ok',
@@ -629,6 +2381,8 @@ app.get('/', (req, res) => res.json({
 const PORT = process.env.PORT || 10000;
 app.listen(PORT, () => {
   console.log(`Algobets AI v2.0 on :${PORT}`);
+  startBackgroundJobs();
+  bus.start().catch(e => console.error('Event bus failed to start:', e.message));
   console.log(`OAuth providers: Google=${!!GOOGLE_CLIENT_ID}, Facebook=${!!FACEBOOK_APP_ID}`);
   console.log(`Stripe: ${!!process.env.STRIPE_SECRET_KEY}`);
   console.log(`Redis: ${process.env.REDIS_URL ? 'configured' : 'localhost fallback'}`);
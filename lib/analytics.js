@@ -0,0 +1,129 @@
+// ── JOURNAL ANALYTICS ─────────────────────────────────────────────────────────
+// Pure reporting over journal bets: P/L, ROI, streaks, drawdown, bankroll curve
+// and per-dimension breakdowns. Only win/loss/push bets count as settled.
+
+const ev = require('./ev');
+
+const round = (n, dp = 2) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+// Legacy bets may only carry American odds (as a number or "+150" string).
+function betDecimalOdds(bet) {
+  if (Number(bet.decimalOdds) > 1) return Number(bet.decimalOdds);
+  const american = Number(String(bet.americanOdds ?? bet.odds ?? '').replace(/^\+/, ''));
+  return ev.americanToDecimal(american);
+}
+
+// Net result of a settled bet in currency; a push returns the stake.
+function betProfit(bet) {
+  const stake = Number(bet.stake) || 0;
+  if (bet.outcome === 'win') return stake * ((betDecimalOdds(bet) || 1) - 1);
+  if (bet.outcome === 'loss') return -stake;
+  return 0;
+}
+
+const isSettled = (bet) => bet.outcome === 'win' || bet.outcome === 'loss' || bet.outcome === 'push';
+const settledTime = (bet) => new Date(bet.settledAt || bet.placedAt || 0).getTime();
+
+function summarize(bets, unit) {
+  let wins = 0, losses = 0, pushes = 0, staked = 0, profit = 0, decimalSum = 0, priced = 0;
+
+  for (const bet of bets) {
+    if (bet.outcome === 'win') wins++;
+    else if (bet.outcome === 'loss') losses++;
+    else pushes++;
+    // Pushes are refunded, so they add nothing to turnover
+    if (bet.outcome !== 'push') staked += Number(bet.stake) || 0;
+    profit += betProfit(bet);
+    const d = betDecimalOdds(bet);
+    if (d) { decimalSum += d; priced++; }
+  }
+
+  const avgDecimal = priced ? decimalSum / priced : null;
+  return {
+    bets: bets.length,
+    wins,
+    losses,
+    pushes,
+    staked: round(staked),
+    profit: round(profit),
+    roi: staked ? round(profit / staked * 100) : 0,
+    units: unit ? round(profit / unit) : null,
+    winRate: wins + losses ? round(wins / (wins + losses) * 100, 1) : null,
+    avgOdds: avgDecimal ? ev.decimalToAmerican(avgDecimal) : null
+  };
+}
+
+// Streaks ignore pushes. `current` is the run the most recent bets are on.
+function streaks(settled) {
+  let longestWin = 0, longestLoss = 0, run = 0, runType = null;
+
+  for (const bet of settled) {
+    if (bet.outcome === 'push') continue;
+    if (bet.outcome === runType) run++;
+    else { runType = bet.outcome; run = 1; }
+    if (runType === 'win') longestWin = Math.max(longestWin, run);
+    else longestLoss = Math.max(longestLoss, run);
+  }
+
+  return { current: { type: runType, length: run }, longestWin, longestLoss };
+}
+
+function bankrollCurve(settled, startingBankroll) {
+  let bankroll = startingBankroll;
+  let peak = startingBankroll;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  const curve = [{ at: null, betId: null, profit: 0, bankroll: round(bankroll) }];
+
+  for (const bet of settled) {
+    const profit = betProfit(bet);
+    bankroll += profit;
+    peak = Math.max(peak, bankroll);
+    const drawdown = peak - bankroll;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPct = peak > 0 ? drawdown / peak * 100 : 0;
+    }
+    curve.push({ at: new Date(settledTime(bet)).toISOString(), betId: bet.id, profit: round(profit), bankroll: round(bankroll) });
+  }
+
+  return { curve, maxDrawdown: round(maxDrawdown), maxDrawdownPct: round(maxDrawdownPct) };
+}
+
+function breakdown(settled, keyFn, unit) {
+  const groups = new Map();
+  for (const bet of settled) {
+    for (const key of [].concat(keyFn(bet) ?? 'unknown')) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(bet);
+    }
+  }
+  return Object.fromEntries(Array.from(groups, ([key, bets]) => [key, summarize(bets, unit)]));
+}
+
+// `unit` defaults to the average stake so units stay meaningful without setup.
+function computeAnalytics(bets, { startingBankroll = 0, unit } = {}) {
+  const settled = bets.filter(isSettled).sort((a, b) => settledTime(a) - settledTime(b));
+  const avgStake = settled.length ? settled.reduce((s, b) => s + (Number(b.stake) || 0), 0) / settled.length : 0;
+  const unitSize = Number(unit) > 0 ? Number(unit) : avgStake || null;
+  const { curve, maxDrawdown, maxDrawdownPct } = bankrollCurve(settled, Number(startingBankroll) || 0);
+
+  return {
+    summary: {
+      ...summarize(settled, unitSize),
+      pending: bets.filter(b => !isSettled(b)).length,
+      unitSize: unitSize ? round(unitSize) : null
+    },
+    streaks: streaks(settled),
+    drawdown: { max: maxDrawdown, maxPct: maxDrawdownPct },
+    bankroll: { starting: Number(startingBankroll) || 0, current: curve[curve.length - 1].bankroll, curve },
+    breakdowns: {
+      sport: breakdown(settled, b => b.sport, unitSize),
+      market: breakdown(settled, b => b.market, unitSize),
+      book: breakdown(settled, b => b.book, unitSize),
+      tag: breakdown(settled, b => (b.tags && b.tags.length ? b.tags : 'untagged'), unitSize)
+    }
+  };
+}
+
+module.exports = { betDecimalOdds, betProfit, computeAnalytics };
@@ -0,0 +1,173 @@
+// ── ARBITRAGE & MIDDLES ───────────────────────────────────────────────────────
+// Works from the latest cross-book odds. An arb is a set of best prices whose
+// implied probabilities sum below 1; a middle is opposite sides of a spread or
+// total at different lines, leaving a window where both bets win.
+// Key schema:
+//   arb:open:{signature}  →  first-seen ISO time, refreshed while the opportunity lasts (2 odds TTLs)
+
+const ev = require('./ev');
+const { SPORTS, MARKET_LABELS, buildMarkets } = require('./odds');
+
+// An opportunity still in the next pull is the same one, so it must outlast the pull interval
+const openTtlSeconds = (sport) => 2 * SPORTS[sport].ttl;
+// Middles that lose more than this (% of bankroll) when they miss aren't worth showing.
+const MAX_MIDDLE_COST_PCT = 5;
+
+const round = (n, dp = 2) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+// Splits `bankroll` so every leg returns the same amount.
+function splitStakes(decimals, bankroll) {
+  const inverse = decimals.map(d => 1 / d);
+  const total = inverse.reduce((a, b) => a + b, 0);
+  return { total, stakes: inverse.map(i => round(bankroll * i / total)) };
+}
+
+function findArbs(event, bankroll) {
+  const arbs = [];
+  for (const market of buildMarkets(event)) {
+    if (market.outcomes.length < 2) continue;
+    const legs = market.outcomes.map(o => ({ outcome: o, price: o.prices[0] }));
+    if (new Set(legs.map(l => l.price.book)).size < 2) continue;
+
+    const decimals = legs.map(l => ev.americanToDecimal(l.price.price));
+    const { total, stakes } = splitStakes(decimals, bankroll);
+    if (total >= 1) continue;
+
+    arbs.push({
+      type: 'arbitrage',
+      ways: legs.length,
+      market: MARKET_LABELS[market.market] || market.market,
+      profitPct: round((1 / total - 1) * 100),
+      guaranteedProfit: round(bankroll / total - bankroll),
+      legs: legs.map((l, i) => ({
+        selection: l.outcome.name,
+        point: l.outcome.point ?? null,
+        book: l.price.title,
+        bookKey: l.price.book,
+        odds: ev.formatAmerican(l.price.price),
+        stake: stakes[i]
+      }))
+    });
+  }
+  return arbs;
+}
+
+// All (side, point, best price at that point) entries for spreads or totals.
+function sideQuotes(event, marketKey) {
+  const quotes = [];
+  for (const market of buildMarkets(event)) {
+    if (market.market !== marketKey) continue;
+    for (const o of market.outcomes) quotes.push({ name: o.name, point: o.point, price: o.prices[0] });
+  }
+  return quotes;
+}
+
+function findMiddles(event, bankroll) {
+  const middles = [];
+
+  for (const marketKey of ['spreads', 'totals']) {
+    const quotes = sideQuotes(event, marketKey);
+    let best = null;
+
+    for (const a of quotes) {
+      for (const b of quotes) {
+        if (a.name === b.name || a.price.book === b.price.book) continue;
+        // Spreads: A -3.5 with B +5.5 → width 2. Totals: Over 220 with Under 222 → width 2.
+        let width;
+        if (marketKey === 'spreads') width = a.point + b.point;
+        else if (/^over$/i.test(a.name) && /^under$/i.test(b.name)) width = b.point - a.point;
+        else continue;
+        if (!(width > 0)) continue;
+
+        const decimals = [ev.americanToDecimal(a.price.price), ev.americanToDecimal(b.price.price)];
+        const { total, stakes } = splitStakes(decimals, bankroll);
+        const missPct = (1 / total - 1) * 100;
+        if (missPct < -MAX_MIDDLE_COST_PCT) continue;
+
+        const candidate = { a, b, width, decimals, stakes, missPct };
+        if (!best || width > best.width || (width === best.width && missPct > best.missPct)) best = candidate;
+      }
+    }
+
+    if (best) {
+      const hitProfit = best.stakes[0] * (best.decimals[0] - 1) + best.stakes[1] * (best.decimals[1] - 1);
+      middles.push({
+        type: 'middle',
+        market: MARKET_LABELS[marketKey],
+        width: best.width,
+        // Result if the game lands outside the window (usually a small loss)
+        missProfitPct: round(best.missPct),
+        missProfit: round(bankroll * best.missPct / 100),
+        hitProfitPct: round(hitProfit / bankroll * 100),
+        hitProfit: round(hitProfit),
+        legs: [best.a, best.b].map((q, i) => ({
+          selection: q.name,
+          point: q.point,
+          book: q.price.title,
+          bookKey: q.price.book,
+          odds: ev.formatAmerican(q.price.price),
+          stake: best.stakes[i]
+        }))
+      });
+    }
+  }
+  return middles;
+}
+
+const signature = (eventId, opp) =>
+  [eventId, opp.type, opp.market, ...opp.legs.map(l => `${l.selection}@${l.point ?? ''}@${l.bookKey}`)].join('|');
+
+function createArbScanner({ redis, odds }) {
+  // Opportunities in one sport's events. The first time an opportunity is seen
+  // is kept while it stays open, so clients can tell new alerts from old ones.
+  async function detect(sport, events, { bankroll = 1000, includeMiddles = true } = {}) {
+    const opportunities = [];
+    const ttl = openTtlSeconds(sport);
+
+    for (const event of events) {
+      const found = [...findArbs(event, bankroll), ...(includeMiddles ? findMiddles(event, bankroll) : [])];
+      for (const opp of found) {
+        const key = `arb:open:${signature(event.id, opp)}`;
+        const now = new Date().toISOString();
+        await redis.set(key, now, { NX: true, EX: ttl });
+        const firstSeenAt = await redis.get(key) || now;
+        await redis.expire(key, ttl);
+
+        opportunities.push({
+          id: signature(event.id, opp),
+          sport,
+          eventId: event.id,
+          homeTeam: event.home_team,
+          awayTeam: event.away_team,
+          commenceTime: event.commence_time,
+          ...opp,
+          firstSeenAt,
+          isNew: firstSeenAt === now
+        });
+      }
+    }
+    return opportunities;
+  }
+
+  async function scan({ sports, bankroll = 1000, includeMiddles = true } = {}) {
+    const opportunities = [];
+    const errors = [];
+
+    for (const sport of sports) {
+      try {
+        opportunities.push(...await detect(sport, await odds.getEvents(sport), { bankroll, includeMiddles }));
+      } catch (e) {
+        errors.push({ sport, error: e.message });
+      }
+    }
+
+    // Arbs first by profit, then middles by cheapest miss
+    const rank = (o) => (o.type === 'arbitrage' ? 1000 + o.profitPct : o.missProfitPct);
+    opportunities.sort((x, y) => rank(y) - rank(x));
+    return { opportunities, errors };
+  }
+
+  return { detect, scan };
+}
+
+module.exports = { findArbs, findMiddles, createArbScanner };
@@ -0,0 +1,52 @@
+// ── AUDIT LOG ─────────────────────────────────────────────────────────────────
+// Append-only record of admin actions, kept for a year.
+// Key schema:
+//   audit:log            →  sorted set of JSON entries scored by time (ms)
+//   audit:target:{id}    →  sorted set of the same entries for one target user
+
+const crypto = require('crypto');
+
+const RETENTION_MS = 365 * 24 * 3600 * 1000;
+
+function createAuditLog({ redis }) {
+  async function record({ actor, action, target = null, details = {}, ip = null }) {
+    const at = Date.now();
+    const entry = { id: crypto.randomUUID(), at: new Date(at).toISOString(), actor, action, target, details, ip };
+    const value = JSON.stringify(entry);
+
+    const tx = redis.multi();
+    tx.zAdd('audit:log', { score: at, value });
+    tx.zRemRangeByScore('audit:log', '-inf', at - RETENTION_MS);
+    if (target) {
+      tx.zAdd(`audit:target:${target}`, { score: at, value });
+      tx.zRemRangeByScore(`audit:target:${target}`, '-inf', at - RETENTION_MS);
+    }
+    await tx.exec();
+    return entry;
+  }
+
+  // Newest first. `before` (ISO) pages back through older entries.
+  async function list({ target, actor, action, before, limit = 100 } = {}) {
+    const key = target ? `audit:target:${target}` : 'audit:log';
+    const max = before ? new Date(before).getTime() - 1 : '+inf';
+    const entries = [];
+    let offset = 0;
+    // Filters apply after reading, so read in pages until enough entries match
+    while (entries.length < limit) {
+      const raw = await redis.zRange(key, max, '-inf', { BY: 'SCORE', REV: true, LIMIT: { offset, count: 500 } });
+      if (!raw.length) break;
+      offset += raw.length;
+      for (const r of raw) {
+        const entry = JSON.parse(r);
+        if ((actor && entry.actor !== actor) || (action && entry.action !== action)) continue;
+        entries.push(entry);
+        if (entries.length >= limit) break;
+      }
+    }
+    return entries;
+  }
+
+  return { record, list };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,388 @@
+// ── BET IMPORT ────────────────────────────────────────────────────────────────
+// Turns spreadsheet and sportsbook history exports into journal bets. An import
+// is two steps: preview parses and validates every row, flags duplicates
+// against the journal, and stores the result; commit writes the previewed bets.
+// Imported bets get ids derived from their content (or the book's ticket id),
+// so committing the same file twice never creates copies.
+// Layouts name the columns of each book's downloadable bet history; when a
+// book renames a column, `mapping` points a field at the new header.
+// Key schema:
+//   import:{journalId}:{importId}  →  JSON preview awaiting commit (1h)
+
+const crypto = require('crypto');
+const { MARKETS, JournalError, validateBet } = require('./journal');
+const { parseCsv } = require('./csv');
+const { isTimeZone } = require('./limits');
+
+const PREVIEW_TTL_SECONDS = 3600;
+const MAX_ROWS = 5000;
+const ODDS_FORMATS = ['auto', 'american', 'decimal', 'fractional'];
+const DATE_ORDERS = ['MDY', 'DMY'];
+
+// Header spellings seen for each field, compared after normalizeHeader
+const FIELD_ALIASES = {
+  ref: ['id', 'bet id', 'ticket', 'ticket id', 'ticket number', 'bet slip id', 'reference', 'receipt'],
+  placedAt: ['placedat', 'placed', 'date placed', 'placed at', 'placed date', 'bet date', 'date', 'time placed'],
+  settledAt: ['settledat', 'settled', 'settled at', 'settled date', 'date settled', 'settlement date'],
+  commenceTime: ['commencetime', 'event date', 'event time', 'game date', 'game time', 'start time'],
+  sport: ['sport', 'league'],
+  market: ['market', 'bet type', 'wager type', 'market type', 'type'],
+  selection: ['selection', 'pick', 'bet', 'description', 'bet description', 'selection name'],
+  point: ['point', 'line', 'handicap', 'points'],
+  odds: ['americanodds', 'american odds', 'odds', 'price'],
+  decimalOdds: ['decimalodds', 'decimal odds'],
+  stake: ['stake', 'wager amount', 'wager', 'risk', 'amount', 'bet amount', 'stake amount', 'total stake'],
+  book: ['book', 'sportsbook', 'bookmaker', 'operator'],
+  outcome: ['outcome', 'result', 'status', 'bet status', 'settlement'],
+  eventId: ['eventid', 'event id'],
+  tags: ['tags'],
+  notes: ['notes', 'note', 'comments']
+};
+
+// `signature` headers identify a layout; `columns` take precedence over FIELD_ALIASES
+const LAYOUTS = {
+  edgebet: { book: null, signature: ['americanodds', 'decimalodds', 'placedat'], columns: {} },
+  draftkings: {
+    book: 'DraftKings',
+    signature: ['date placed', 'wager amount', 'bet id'],
+    columns: { placedAt: 'date placed', stake: 'wager amount', ref: 'bet id', outcome: 'status' }
+  },
+  fanduel: {
+    book: 'FanDuel',
+    signature: ['placed', 'bet id', 'stake', 'result'],
+    columns: { placedAt: 'placed', stake: 'stake', ref: 'bet id', outcome: 'result' }
+  },
+  betmgm: {
+    book: 'BetMGM',
+    signature: ['ticket number', 'bet date', 'wager'],
+    columns: { placedAt: 'bet date', stake: 'wager', ref: 'ticket number' }
+  },
+  generic: { book: null, signature: [], columns: {} }
+};
+
+const OUTCOME_WORDS = {
+  win: ['win', 'won', 'w', 'winner', 'paid'],
+  loss: ['loss', 'lost', 'l', 'lose', 'loser'],
+  push: ['push', 'pushed', 'void', 'voided', 'refund', 'refunded', 'cancelled', 'canceled', 'no action'],
+  pending: ['pending', 'open', 'unsettled', 'active', 'running', 'accepted', '']
+};
+
+// First match wins, so narrower bet types come before the words they contain
+const MARKET_PATTERNS = [
+  ['parlay', /parlay|multi|accumulator|\bacca\b|same game|\bsgp\b|teaser|round robin/],
+  ['future', /future|outright/],
+  ['prop', /prop|player|anytime|scorer|strikeouts|rebounds|assists|passing|rushing|receiving/],
+  ['total', /total|\bover\b|\bunder\b|o\/u/],
+  ['spread', /spread|handicap|run line|puck line|\bats\b/],
+  ['moneyline', /money ?line|\bml\b|h2h|match winner|to win|1x2|winner/]
+];
+
+const normalizeHeader = (h) => String(h).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function detectLayout(headers) {
+  const present = new Set(headers.map(normalizeHeader));
+  const name = Object.keys(LAYOUTS).find(l => LAYOUTS[l].signature.length && LAYOUTS[l].signature.every(h => present.has(h)));
+  return name || 'generic';
+}
+
+// field → source header for the chosen layout, with caller overrides
+function resolveColumns(headers, layout, mapping = {}) {
+  const byNormal = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const columns = {};
+  for (const field of Object.keys(FIELD_ALIASES)) {
+    if (mapping[field] != null) {
+      const header = byNormal.get(normalizeHeader(mapping[field]));
+      if (!header) throw new JournalError(`mapping.${field}: no column named "${mapping[field]}"`, 400);
+      columns[field] = header;
+      continue;
+    }
+    const preferred = LAYOUTS[layout].columns[field];
+    const alias = [preferred, ...FIELD_ALIASES[field]].find(a => a && byNormal.has(a));
+    if (alias) columns[field] = byNormal.get(alias);
+  }
+  return columns;
+}
+
+// { americanOdds } or { decimalOdds } from a price in any common notation.
+// Unsigned whole numbers of 100+ read as American, smaller ones as decimal.
+function parseOdds(value, format = 'auto') {
+  const s = String(value ?? '').trim().replace(/\s+/g, '').toLowerCase();
+  if (!s) return null;
+  if (['even', 'evens', 'ev'].includes(s)) return { americanOdds: 100 };
+
+  const fraction = s.match(/^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/);
+  if (fraction || format === 'fractional') {
+    if (!fraction || Number(fraction[2]) <= 0) return null;
+    return { decimalOdds: Math.round((1 + Number(fraction[1]) / Number(fraction[2])) * 1000) / 1000 };
+  }
+
+  const n = Number(s.replace(/^\+/, ''));
+  if (!Number.isFinite(n)) return null;
+  if (format === 'american' || (format === 'auto' && (/^[+-]/.test(s) || Math.abs(n) >= 100))) {
+    return Math.abs(n) >= 100 ? { americanOdds: Math.round(n) } : null;
+  }
+  return n > 1 ? { decimalOdds: n } : null;
+}
+
+// Currency amounts like "$1,250.00" or "12,50"
+function parseAmount(value) {
+  let s = String(value ?? '').replace(/[^\d.,-]/g, '');
+  s = /^-?\d+,\d{1,2}$/.test(s) ? s.replace(',', '.') : s.replace(/,/g, '');
+  const n = Number(s);
+  return s && Number.isFinite(n) ? n : null;
+}
+
+// Milliseconds `timezone` is ahead of UTC at instant `t`
+function zoneOffset(timezone, t) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(t);
+  const p = Object.fromEntries(parts.map(x => [x.type, Number(x.value)]));
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(t / 1000) * 1000;
+}
+
+// A wall-clock time in `timezone` as a Date
+function zonedDate(year, month, day, hour, minute, second, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const t = guess - zoneOffset(timezone, guess);
+  return new Date(guess - zoneOffset(timezone, t));
+}
+
+const NUMERIC_DATE = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*([ap])?\.?m?\.?)?$/i;
+
+// Dates with no zone are read as wall-clock time in `timezone`; all-numeric
+// day/month dates follow `dateOrder`.
+function parseDate(value, { timezone = 'UTC', dateOrder = 'MDY' } = {}) {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  if (/(z|[+-]\d\d:?\d\d|\b(utc|gmt))$/i.test(s)) {
+    const d = new Date(s);
+    return isNaN(d) ? null : d;
+  }
+
+  const m = s.match(NUMERIC_DATE);
+  if (m) {
+    let [year, month, day] = m[1].length === 4
+      ? [m[1], m[2], m[3]]
+      : dateOrder === 'DMY' ? [m[3], m[2], m[1]] : [m[3], m[1], m[2]];
+    year = Number(year) < 100 ? 2000 + Number(year) : Number(year);
+    let hour = Number(m[4] || 0);
+    if (m[7]) hour = (hour % 12) + (m[7].toLowerCase() === 'p' ? 12 : 0);
+    if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31 || hour > 23) return null;
+    return zonedDate(year, Number(month), Number(day), hour, Number(m[5] || 0), Number(m[6] || 0), timezone);
+  }
+
+  // Worded dates ("Oct 19, 2026 7:05 PM"); the engine reads them as server-local
+  const local = new Date(s.replace(/(\d)([ap]m)\b/i, '$1 $2'));
+  if (isNaN(local)) return null;
+  return zonedDate(local.getFullYear(), local.getMonth() + 1, local.getDate(),
+    local.getHours(), local.getMinutes(), local.getSeconds(), timezone);
+}
+
+function parseOutcome(value) {
+  const s = String(value ?? '').trim().toLowerCase();
+  if (/cash(ed)?[ -]?out|half/.test(s)) return { error: `result "${value}" can't be recorded as win, loss or push; enter this bet manually` };
+  const outcome = Object.keys(OUTCOME_WORDS).find(o => OUTCOME_WORDS[o].includes(s));
+  return outcome ? { outcome } : { error: `unrecognised result "${value}"` };
+}
+
+function parseMarket(marketText, selection) {
+  const raw = String(marketText ?? '').trim().toLowerCase();
+  if (MARKETS.includes(raw)) return raw;
+  const text = raw || String(selection ?? '').toLowerCase();
+  return MARKET_PATTERNS.find(([, re]) => re.test(text))?.[0] || 'other';
+}
+
+// The line embedded in a selection like "Over 47.5" or "Chiefs -3.5"
+function pointFromSelection(market, selection) {
+  if (market === 'total') {
+    const m = selection.match(/\b(?:over|under|o|u)\s*(\d+(?:\.\d+)?)/i);
+    return m ? Number(m[1]) : null;
+  }
+  if (market === 'spread') {
+    const m = selection.match(/(?:^|\s)([+-]\d{1,2}(?:\.\d)?)(?!\d)/);
+    return m ? Number(m[1]) : null;
+  }
+  return null;
+}
+
+// One source row → { bet, errors, ref, settledAt }
+function convertRow(row, columns, { book, oddsFormat, timezone, dateOrder }) {
+  const errors = [];
+  const cell = (field) => (columns[field] ? row[columns[field]] : undefined);
+  const input = {};
+
+  const selection = cell('selection');
+  input.selection = selection;
+  input.market = parseMarket(cell('market'), selection);
+  input.sport = String(cell('sport') || 'OTHER').toUpperCase().replace(/[^A-Z0-9_ ]/g, '').trim().slice(0, 20) || 'OTHER';
+
+  if (cell('point')) input.point = parseAmount(cell('point'));
+  else if (typeof selection === 'string') {
+    const point = pointFromSelection(input.market, selection);
+    if (point != null) input.point = point;
+  }
+
+  const odds = parseOdds(cell('odds'), oddsFormat) ||
+    (cell('decimalOdds') ? parseOdds(cell('decimalOdds'), 'decimal') : null);
+  if (odds) Object.assign(input, odds);
+  else errors.push(`odds "${cell('odds') ?? ''}" not recognised`);
+
+  input.stake = parseAmount(cell('stake'));
+  input.book = cell('book') || book;
+
+  for (const field of ['placedAt', 'commenceTime']) {
+    if (!cell(field)) continue;
+    const date = parseDate(cell(field), { timezone, dateOrder });
+    if (date) input[field] = date.toISOString();
+    else errors.push(`${field} "${cell(field)}" is not a date`);
+  }
+  if (!cell('placedAt')) errors.push('placed date missing');
+
+  const outcome = parseOutcome(cell('outcome') ?? '');
+  if (outcome.error) errors.push(outcome.error);
+  else input.outcome = outcome.outcome;
+
+  if (cell('eventId')) input.eventId = cell('eventId');
+  if (cell('tags')) input.tags = cell('tags').split(/[;,|]/);
+  if (cell('notes')) input.notes = cell('notes');
+
+  const { bet, errors: invalid } = validateBet(input);
+  // An unreadable price was reported above
+  errors.push(...invalid.filter(e => !(odds == null && e.startsWith('odds'))));
+
+  let settledAt = null;
+  if (bet.outcome && bet.outcome !== 'pending') {
+    const settled = cell('settledAt') ? parseDate(cell('settledAt'), { timezone, dateOrder }) : null;
+    settledAt = (settled || new Date(bet.commenceTime || bet.placedAt)).toISOString();
+  }
+  return { bet, errors, ref: cell('ref') || null, settledAt };
+}
+
+// Same book, selection, price and stake on the same day
+function fingerprint(bet) {
+  return [
+    String(bet.book).toLowerCase(),
+    String(bet.selection).toLowerCase().replace(/\s+/g, ' '),
+    bet.americanOdds,
+    Number(bet.stake).toFixed(2),
+    String(bet.placedAt).slice(0, 10)
+  ].join('|');
+}
+
+const importedId = (seed) => `imp_${crypto.createHash('sha256').update(seed).digest('hex').slice(0, 24)}`;
+
+function createBetImporter({ redis, journal }) {
+  const previewKey = (journalId, importId) => `import:${journalId}:${importId}`;
+
+  // `csv` text or `rows` (array of objects keyed by column) → stored preview
+  async function preview(journalId, {
+    csv,
+    rows,
+    format = 'auto',
+    mapping = {},
+    oddsFormat = 'auto',
+    dateOrder = 'MDY',
+    timezone = 'UTC',
+    book = null
+  } = {}) {
+    if (format !== 'auto' && !LAYOUTS[format]) throw new JournalError(`format must be auto or one of: ${Object.keys(LAYOUTS).join(', ')}`, 400);
+    if (!ODDS_FORMATS.includes(oddsFormat)) throw new JournalError(`oddsFormat must be one of: ${ODDS_FORMATS.join(', ')}`, 400);
+    if (!DATE_ORDERS.includes(dateOrder)) throw new JournalError(`dateOrder must be one of: ${DATE_ORDERS.join(', ')}`, 400);
+    if (!isTimeZone(timezone)) throw new JournalError('timezone must be an IANA zone like America/New_York', 400);
+    if (mapping && typeof mapping !== 'object') throw new JournalError('mapping must map fields to column names', 400);
+
+    let parsed;
+    if (typeof csv === 'string') parsed = parseCsv(csv);
+    else if (Array.isArray(rows) && rows.every(r => r && typeof r === 'object')) {
+      const headers = [...new Set(rows.flatMap(Object.keys))];
+      parsed = { headers, rows: rows.map(r => Object.fromEntries(headers.map(h => [h, r[h] == null ? '' : String(r[h]).trim()]))) };
+    } else {
+      throw new JournalError('csv (text) or rows (array of objects) required', 400);
+    }
+    if (!parsed.rows.length) throw new JournalError('No rows to import', 400);
+    if (parsed.rows.length > MAX_ROWS) throw new JournalError(`Imports are limited to ${MAX_ROWS} rows`, 413);
+
+    const layout = format === 'auto' ? detectLayout(parsed.headers) : format;
+    const columns = resolveColumns(parsed.headers, layout, mapping || {});
+    const defaultBook = book || LAYOUTS[layout].book;
+
+    const existing = await journal.list(journalId);
+    const byId = new Set(existing.map(b => b.id));
+    const byRef = new Map(existing.filter(b => b.origin?.ref).map(b => [`${String(b.book).toLowerCase()}|${b.origin.ref}`, b.id]));
+    const byPrint = new Map(existing.map(b => [fingerprint(b), b.id]));
+    const inFile = new Map();
+
+    const results = parsed.rows.map((row, i) => {
+      const number = i + 1;
+      const { bet, errors, ref, settledAt } = convertRow(row, columns, { book: defaultBook, oddsFormat, timezone, dateOrder });
+      if (errors.length) return { row: number, status: 'invalid', errors };
+
+      const print = fingerprint(bet);
+      const refKey = ref ? `${bet.book.toLowerCase()}|${ref}` : null;
+      const occurrence = (inFile.get(print)?.length || 0);
+      const id = importedId(refKey || `${print}|${occurrence}`);
+
+      const duplicateOf = (refKey && byRef.get(refKey)) || (byId.has(id) && id) || (ref && byId.has(ref) && ref) ||
+        byPrint.get(print) || (inFile.has(print) ? `row ${inFile.get(print)[0]}` : null);
+      inFile.set(print, [...(inFile.get(print) || []), number]);
+
+      return {
+        row: number,
+        status: duplicateOf ? 'duplicate' : 'new',
+        duplicateOf: duplicateOf || undefined,
+        bet: { id, ...bet },
+        settledAt,
+        origin: { source: 'import', layout, ref }
+      };
+    });
+
+    const importId = crypto.randomUUID();
+    await redis.set(previewKey(journalId, importId), JSON.stringify(results), { EX: PREVIEW_TTL_SECONDS });
+
+    const count = (status) => results.filter(r => r.status === status).length;
+    return {
+      importId,
+      expiresAt: new Date(Date.now() + PREVIEW_TTL_SECONDS * 1000).toISOString(),
+      layout,
+      columns,
+      unmappedColumns: parsed.headers.filter(h => !Object.values(columns).includes(h)),
+      summary: { rows: results.length, new: count('new'), duplicate: count('duplicate'), invalid: count('invalid') },
+      rows: results.map(({ origin, ...r }) => r)
+    };
+  }
+
+  // Writes a preview's new rows, plus any duplicate rows listed in `include`.
+  // A preview can be committed once.
+  async function commit(journalId, importId, { include = [] } = {}) {
+    const raw = await redis.getDel(previewKey(journalId, importId));
+    if (!raw) throw new JournalError('Import not found or already committed; preview the file again', 404);
+
+    const forced = new Set((Array.isArray(include) ? include : []).map(Number));
+    const created = [];
+    const skipped = [];
+    for (const r of JSON.parse(raw)) {
+      if (r.status === 'invalid' || (r.status === 'duplicate' && !forced.has(r.row))) continue;
+      try {
+        created.push(await journal.create(journalId, r.bet, { origin: r.origin, settledAt: r.settledAt }));
+      } catch (e) {
+        // Already imported by an earlier commit of the same rows
+        if (!(e instanceof JournalError && e.status === 409)) throw e;
+        skipped.push(r.row);
+      }
+    }
+    return { created, skipped };
+  }
+
+  return { preview, commit };
+}
+
+module.exports = {
+  LAYOUTS,
+  ODDS_FORMATS,
+  parseOdds,
+  parseDate,
+  detectLayout,
+  createBetImporter
+};
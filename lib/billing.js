@@ -0,0 +1,146 @@
+// ── STRIPE BILLING ────────────────────────────────────────────────────────────
+// Keeps user records in step with Stripe subscriptions. Subscription events are
+// re-read from the API rather than trusted as delivered, so retried or
+// out-of-order webhooks still converge on Stripe's current state.
+// Key schema:
+//   stripe:event:{eventId}  →  'processing' while handled, then 'done' (30 days)
+
+const EVENT_TTL_SECONDS = 30 * 24 * 3600;
+const PROCESSING_TTL_SECONDS = 5 * 60;
+const TIER_HISTORY_LIMIT = 50;
+
+// Statuses that keep paid features on; past_due, unpaid, paused and canceled drop to FREE
+const ENTITLED_STATUSES = ['active', 'trialing'];
+
+const SUBSCRIPTION_EVENTS = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'customer.subscription.paused',
+  'customer.subscription.resumed'
+];
+
+const isoFromUnix = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+function tierForPrice(priceId, tiers) {
+  return Object.keys(tiers).find(t => tiers[t].stripePriceId && tiers[t].stripePriceId === priceId) || null;
+}
+
+// The user fields derived from a Stripe subscription. `plan` is what the
+// customer pays for; `tier` is what they currently get.
+function subscriptionFields(subscription, tiers) {
+  const item = subscription.items?.data?.[0];
+  const plan = tierForPrice(item?.price?.id, tiers);
+  return {
+    subscriptionId: subscription.id,
+    subscriptionItemId: item?.id || null,
+    subscriptionStatus: subscription.status,
+    subscriptionCurrentPeriodEnd: isoFromUnix(subscription.current_period_end),
+    cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+    trialEnd: isoFromUnix(subscription.trial_end),
+    plan: plan || 'FREE',
+    tier: plan && ENTITLED_STATUSES.includes(subscription.status) ? plan : 'FREE'
+  };
+}
+
+function createBillingSync({
+  redis,
+  stripe,
+  users,
+  tiers,
+  onTierChange = async () => {},
+  onTrialEnding = async () => {},
+  onPaymentFailed = async () => {},
+  onCheckoutCompleted = async () => {},
+  onInvoicePaid = async () => {}
+}) {
+  // Applies a subscription (object or id, re-read from Stripe) to its user.
+  async function applySubscription(subscriptionOrId, { reason = 'sync', user = null } = {}) {
+    const subscription = typeof subscriptionOrId === 'string'
+      ? await stripe.subscriptions.retrieve(subscriptionOrId)
+      : subscriptionOrId;
+    user = user ||
+      await users.findByStripeSubscription(subscription.id) ||
+      await users.findByStripeCustomer(subscription.customer);
+    if (!user) return null;
+
+    // A late event for a replaced subscription must not clobber the current one
+    if (user.subscriptionId && user.subscriptionId !== subscription.id &&
+        !ENTITLED_STATUSES.includes(subscription.status)) {
+      return user;
+    }
+
+    const previousTier = user.tier || 'FREE';
+    Object.assign(user, subscriptionFields(subscription, tiers));
+    if (subscription.trial_start) user.trialUsed = true;
+    if (user.tier !== previousTier) {
+      user.tierHistory = [
+        ...(user.tierHistory || []),
+        { from: previousTier, to: user.tier, reason, at: new Date().toISOString() }
+      ].slice(-TIER_HISTORY_LIMIT);
+    }
+    await users.save(user);
+
+    if (user.tier !== previousTier) await onTierChange(user, previousTier, reason);
+    return user;
+  }
+
+  async function dispatch(event) {
+    const object = event.data.object;
+
+    if (SUBSCRIPTION_EVENTS.includes(event.type)) {
+      await applySubscription(object.id, { reason: event.type });
+      return;
+    }
+
+    switch (event.type) {
+      case 'checkout.session.completed': {
+        if (object.mode !== 'subscription' || !object.subscription) return;
+        const user = await users.findByStripeCustomer(object.customer);
+        if (!user) return;
+        user.trialUsed = true;
+        await applySubscription(object.subscription, { reason: event.type, user });
+        await onCheckoutCompleted(user, object);
+        return;
+      }
+
+      // Renewals extend the period end; failures move the subscription to past_due.
+      // Either way the invoice points at the subscription, not the invoice id.
+      case 'invoice.paid':
+      case 'invoice.payment_failed': {
+        if (!object.subscription) return;
+        const user = await applySubscription(object.subscription, { reason: event.type });
+        if (user && event.type === 'invoice.payment_failed') await onPaymentFailed(user, object);
+        if (user && event.type === 'invoice.paid') await onInvoicePaid(user, object);
+        return;
+      }
+
+      case 'customer.subscription.trial_will_end': {
+        const user = await users.findByStripeSubscription(object.id);
+        if (user) await onTrialEnding(user, isoFromUnix(object.trial_end));
+        return;
+      }
+    }
+  }
+
+  // Runs each Stripe event once. A failed event releases its claim so Stripe's
+  // retry is processed; a concurrent duplicate is acknowledged without work.
+  async function handleEvent(event) {
+    const key = `stripe:event:${event.id}`;
+    if (!await redis.set(key, 'processing', { NX: true, EX: PROCESSING_TTL_SECONDS })) {
+      return { duplicate: true };
+    }
+    try {
+      await dispatch(event);
+    } catch (e) {
+      await redis.del(key);
+      throw e;
+    }
+    await redis.set(key, 'done', { EX: EVENT_TTL_SECONDS });
+    return { duplicate: false };
+  }
+
+  return { applySubscription, handleEvent };
+}
+
+module.exports = { ENTITLED_STATUSES, tierForPrice, subscriptionFields, createBillingSync };
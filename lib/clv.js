@@ -0,0 +1,133 @@
+// ── CLOSING LINE VALUE ────────────────────────────────────────────────────────
+// Bets tied to an odds event (eventId + commenceTime from a /scan pick) are
+// queued and, just before kickoff, re-priced against a fresh pull of the same
+// market. The result is stored on the bet as `clv`.
+// Key schema:
+//   clv:queue  →  sorted set of "{journalId}|{betId}" scored by commenceTime (ms)
+//   clv:lock   →  held by the instance running a capture pass
+
+const ev = require('./ev');
+const { SPORTS, ODDS_MARKETS, findOutcome } = require('./odds');
+
+const CAPTURE_WINDOW_MS = 3 * 60 * 1000;
+const START_GRACE_MS = 60 * 1000;
+
+function betAmerican(bet) {
+  if (bet.americanOdds != null) return Number(bet.americanOdds);
+  if (bet.odds != null) return Number(String(bet.odds).replace(/^\+/, ''));
+  return ev.decimalToAmerican(bet.decimalOdds);
+}
+
+function isTrackable(bet) {
+  return !!(bet.eventId && bet.commenceTime && SPORTS[bet.sport] && ODDS_MARKETS[bet.market]);
+}
+
+// The bet's own book is preferred as the closing price, the best price otherwise.
+function findClosing(event, bet) {
+  const found = findOutcome(event, bet);
+  if (!found) return null;
+
+  const book = String(bet.book || '').toLowerCase();
+  const sameBook = found.outcome.prices.find(p => p.book === book || p.title.toLowerCase() === book);
+  const price = sameBook || found.outcome.prices[0];
+  return { price: price.price, book: price.title, sameBook: !!sameBook, fairProb: found.outcome.fairProb, books: found.books };
+}
+
+function computeClv(bet, closing) {
+  const american = betAmerican(bet);
+  const decimal = ev.americanToDecimal(american);
+  const implied = 1 / decimal;
+  const round = (n) => Math.round(n * 100) / 100;
+
+  return {
+    status: 'captured',
+    closingOdds: closing.price,
+    closingBook: closing.book,
+    sameBook: closing.sameBook,
+    closingFairProb: Math.round(closing.fairProb * 10000) / 10000,
+    cents: ev.americanCents(american) - ev.americanCents(closing.price),
+    probDelta: round((closing.fairProb - implied) * 100),
+    evVsClose: round((closing.fairProb * decimal - 1) * 100)
+  };
+}
+
+function clvStats(bets) {
+  const captured = bets.filter(b => b.clv?.status === 'captured');
+  const avg = (fn) => captured.length ? Math.round(captured.reduce((s, b) => s + fn(b), 0) / captured.length * 100) / 100 : null;
+
+  return {
+    tracked: captured.length,
+    missed: bets.filter(b => b.clv?.status === 'missed').length,
+    avgCents: avg(b => b.clv.cents),
+    avgProbDelta: avg(b => b.clv.probDelta),
+    avgEvVsClose: avg(b => b.clv.evVsClose),
+    beatClosePct: captured.length
+      ? Math.round(captured.filter(b => b.clv.cents > 0).length / captured.length * 1000) / 10
+      : null
+  };
+}
+
+function createClvTracker({ redis, odds, journal }) {
+  const member = (journalId, betId) => `${journalId}|${betId}`;
+
+  async function track(journalId, bet) {
+    if (isTrackable(bet) && !bet.clv) {
+      await redis.zAdd('clv:queue', { score: new Date(bet.commenceTime).getTime(), value: member(journalId, bet.id) });
+    } else {
+      await redis.zRem('clv:queue', member(journalId, bet.id));
+    }
+  }
+
+  async function record(journalId, bet, clv) {
+    await redis.zRem('clv:queue', member(journalId, bet.id));
+    return journal.update(journalId, bet.id, { clv: { ...clv, capturedAt: new Date().toISOString(), source: odds.provider } }, null, { validate: false });
+  }
+
+  // Prices one bet against `events` (or a fresh pull). Once the game has
+  // started the feed carries live odds, so the closing line is marked missed.
+  async function capture(journalId, bet, { now = Date.now(), events } = {}) {
+    if (!isTrackable(bet) || bet.clv) return bet;
+    if (now > new Date(bet.commenceTime).getTime() + START_GRACE_MS) {
+      return record(journalId, bet, { status: 'missed', reason: 'Game started before the closing line was captured' });
+    }
+
+    const event = (events || await odds.getEvents(bet.sport, { fresh: true })).find(e => e.id === bet.eventId);
+    const closing = event && findClosing(event, bet);
+    if (!closing) return record(journalId, bet, { status: 'missed', reason: 'Market no longer offered at this line' });
+    return record(journalId, bet, computeClv(bet, closing));
+  }
+
+  // One pass over bets whose games start within the capture window. A Redis lock
+  // keeps multiple instances from spending odds quota on the same pass.
+  async function captureDue({ now = Date.now() } = {}) {
+    if (!await redis.set('clv:lock', '1', { NX: true, EX: 55 })) return 0;
+
+    const due = await redis.zRangeByScore('clv:queue', '-inf', now + CAPTURE_WINDOW_MS);
+    const eventsBySport = new Map();
+    let processed = 0;
+
+    for (const item of due) {
+      const split = item.indexOf('|');
+      const journalId = item.slice(0, split);
+      const betId = item.slice(split + 1);
+      try {
+        const bet = await journal.get(journalId, betId);
+        if (!bet || !isTrackable(bet) || bet.clv) {
+          await redis.zRem('clv:queue', item);
+          continue;
+        }
+        const started = now > new Date(bet.commenceTime).getTime() + START_GRACE_MS;
+        if (!started && !eventsBySport.has(bet.sport)) eventsBySport.set(bet.sport, await odds.getEvents(bet.sport, { fresh: true }));
+        await capture(journalId, bet, { now, events: eventsBySport.get(bet.sport) });
+        processed++;
+      } catch (e) {
+        console.error(`CLV capture failed for ${item}:`, e.message);
+      }
+    }
+    return processed;
+  }
+
+  return { track, capture, captureDue };
+}
+
+module.exports = { computeClv, clvStats, findClosing, createClvTracker };
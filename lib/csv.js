@@ -0,0 +1,68 @@
+// ── CSV ───────────────────────────────────────────────────────────────────────
+// RFC 4180 output for exports, and a parser for uploaded spreadsheets.
+
+// Quotes fields containing separators, quotes or line breaks, and neutralises
+// leading =+-@ so spreadsheet apps don't evaluate exported text as formulas.
+function csvField(value) {
+  if (value == null) return '';
+  let s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(s) && !/^[+-]?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// `columns` is a list of keys, or [header, row => value] pairs.
+function toCsv(rows, columns) {
+  const cols = columns.map(c => (Array.isArray(c) ? c : [c, (row) => row[c]]));
+  const lines = [cols.map(([header]) => csvField(header)).join(',')];
+  for (const row of rows) lines.push(cols.map(([, get]) => csvField(get(row))).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Picks the separator (comma, semicolon or tab) that splits the header line
+// into the most columns; European spreadsheets often save with semicolons.
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  let best = ',';
+  let bestCount = 0;
+  for (const d of [',', ';', '\t']) {
+    const count = header.replace(/"[^"]*"/g, '').split(d).length - 1;
+    if (count > bestCount) [best, bestCount] = [d, count];
+  }
+  return best;
+}
+
+// Parses CSV text into { headers, rows } where each row maps header → string.
+// Handles quoted fields with embedded separators, quotes and line breaks, a
+// leading byte-order mark, and blank lines.
+function parseCsv(text, { delimiter = detectDelimiter(text) } = {}) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === delimiter) { record.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else field += c;
+  }
+  if (field !== '' || record.length) records.push([...record, field]);
+
+  const [headerRow = [], ...body] = records.filter(r => r.some(v => v.trim() !== ''));
+  const headers = headerRow.map(h => h.trim());
+  const rows = body.map(r => Object.fromEntries(headers.map((h, i) => [h, (r[i] ?? '').trim()])));
+  return { headers, rows };
+}
+
+module.exports = { csvField, toCsv, parseCsv };
@@ -0,0 +1,129 @@
+// ── ENTITLEMENTS ──────────────────────────────────────────────────────────────
+// What a user may do: their tier's features and limits, from an active
+// subscription or an admin-granted override (e.g. comp Pro for a month).
+// Tiers are read from config/tiers.json (or TIERS_CONFIG_PATH); key order is
+// tier rank, lowest first. Each tier's Stripe price id comes from the env
+// variable named by its `stripePriceEnv`.
+// Override shape (on the user record as `entitlementOverride`):
+//   { tier?, features?, limits?, expiresAt, reason, grantedBy, grantedAt }
+
+const fs = require('fs');
+const path = require('path');
+const { ENTITLED_STATUSES } = require('./billing');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'tiers.json');
+const MAX_OVERRIDE_DAYS = 366;
+
+class EntitlementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function loadTiers(env = process.env) {
+  const file = env.TIERS_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const tiers = {};
+  for (const [key, tier] of Object.entries(raw)) {
+    if (!Array.isArray(tier.features) || typeof tier.limits !== 'object') {
+      throw new Error(`${file}: tier ${key} needs a features array and a limits object`);
+    }
+    const { stripePriceEnv, ...rest } = tier;
+    tiers[key] = { ...rest, stripePriceId: stripePriceEnv ? env[stripePriceEnv] || null : null };
+  }
+  if (!tiers.FREE) throw new Error(`${file}: a FREE tier is required`);
+  return tiers;
+}
+
+function createEntitlements({ tiers }) {
+  const order = Object.keys(tiers);
+  const rank = (tier) => order.indexOf(tier);
+
+  function activeOverride(user, now) {
+    const override = user?.entitlementOverride;
+    return override && new Date(override.expiresAt).getTime() > now ? override : null;
+  }
+
+  // Effective tier, features and limits for a user record (null → FREE).
+  function resolve(user, now = Date.now()) {
+    let tier = 'FREE';
+    let source = 'free';
+
+    const periodEnd = new Date(user?.subscriptionCurrentPeriodEnd || 0).getTime();
+    if (user?.subscriptionId && ENTITLED_STATUSES.includes(user.subscriptionStatus) && periodEnd > now && tiers[user.tier]) {
+      tier = user.tier;
+      source = 'subscription';
+    }
+
+    const override = activeOverride(user, now);
+    if (override?.tier && tiers[override.tier] && rank(override.tier) > rank(tier)) {
+      tier = override.tier;
+      source = 'override';
+    }
+
+    return {
+      tier,
+      source,
+      features: [...new Set([...tiers[tier].features, ...(override?.features || [])])],
+      limits: { ...tiers[tier].limits, ...override?.limits },
+      override,
+      subscriptionStatus: user?.subscriptionStatus || null
+    };
+  }
+
+  // { status, body } for a user missing `feature`: 402 when a paid tier includes
+  // it (or their payment lapsed), 403 when no tier offers it.
+  function denial(entitlements, feature) {
+    const requiredTier = order.find(t => rank(t) > rank(entitlements.tier) && tiers[t].features.includes(feature));
+    if (!requiredTier) {
+      return { status: 403, body: { error: 'Feature not available', code: 'feature_unavailable', feature, tier: entitlements.tier } };
+    }
+    const lapsed = ['past_due', 'unpaid'].includes(entitlements.subscriptionStatus);
+    return {
+      status: 402,
+      body: {
+        error: lapsed ? 'Payment past due' : 'Upgrade required',
+        code: lapsed ? 'payment_past_due' : 'upgrade_required',
+        feature,
+        tier: entitlements.tier,
+        requiredTier,
+        price: tiers[requiredTier].price,
+        upgradeUrl: '/upgrade'
+      }
+    };
+  }
+
+  // Validates an admin grant into an override record.
+  function buildOverride({ tier, features, limits, days, expiresAt, reason } = {}, grantedBy, now = Date.now()) {
+    if (tier && (!tiers[tier] || tier === 'FREE')) throw new EntitlementError(`tier must be one of: ${order.filter(t => t !== 'FREE').join(', ')}`);
+    if (features && (!Array.isArray(features) || features.some(f => typeof f !== 'string'))) {
+      throw new EntitlementError('features must be an array of feature names');
+    }
+    if (limits && (typeof limits !== 'object' || Object.values(limits).some(v => !(Number.isInteger(v) && v >= 0)))) {
+      throw new EntitlementError('limits must map limit names to whole numbers');
+    }
+    if (!tier && !features?.length && !limits) throw new EntitlementError('tier, features or limits required');
+
+    const expires = expiresAt ? new Date(expiresAt).getTime() : now + Number(days) * 24 * 3600 * 1000;
+    if (!(expires > now)) throw new EntitlementError('days or a future expiresAt required');
+    if (expires - now > MAX_OVERRIDE_DAYS * 24 * 3600 * 1000) {
+      throw new EntitlementError(`Overrides can last at most ${MAX_OVERRIDE_DAYS} days`);
+    }
+
+    return {
+      tier: tier || null,
+      features: features || [],
+      limits: limits || null,
+      expiresAt: new Date(expires).toISOString(),
+      reason: reason ? String(reason).slice(0, 200) : null,
+      grantedBy,
+      grantedAt: new Date(now).toISOString()
+    };
+  }
+
+  return { resolve, denial, buildOverride };
+}
+
+module.exports = { EntitlementError, loadTiers, createEntitlements };
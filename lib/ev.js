@@ -0,0 +1,66 @@
+// ── EV MATH ───────────────────────────────────────────────────────────────────
+// Pure odds helpers shared by the scanner, parlay builder and bet journal.
+// Probabilities are 0–1, edges are returned as percentages.
+
+function americanToDecimal(american) {
+  const n = Number(american);
+  if (!Number.isFinite(n) || n === 0) return null;
+  return n > 0 ? 1 + n / 100 : 1 + 100 / Math.abs(n);
+}
+
+function decimalToAmerican(decimal) {
+  const d = Number(decimal);
+  if (!Number.isFinite(d) || d <= 1) return null;
+  return d >= 2 ? Math.round((d - 1) * 100) : Math.round(-100 / (d - 1));
+}
+
+function impliedProbability(american) {
+  const d = americanToDecimal(american);
+  return d ? 1 / d : null;
+}
+
+// American odds on a continuous "cents" scale so -105 → +105 is 10 cents, not 210.
+function americanCents(american) {
+  return american > 0 ? american - 100 : american + 100;
+}
+
+function formatAmerican(american) {
+  return american > 0 ? `+${american}` : String(american);
+}
+
+// Proportional (multiplicative) vig removal: scale each implied probability
+// so the market sums to exactly 1.
+function removeVig(americanPrices) {
+  const implied = americanPrices.map(impliedProbability);
+  if (implied.some(p => p == null)) return null;
+  const overround = implied.reduce((a, b) => a + b, 0);
+  return {
+    fair: implied.map(p => p / overround),
+    vig: overround - 1
+  };
+}
+
+// Expected return per unit staked, as a percentage.
+function expectedValue(fairProb, american) {
+  const d = americanToDecimal(american);
+  if (!d || fairProb == null) return null;
+  return (fairProb * d - 1) * 100;
+}
+
+// Heuristic 0–100 score: grows with edge size and with how many books the fair
+// line was built from, capped so a single outlier never reads as a lock.
+function confidenceScore(edgePct, bookCount) {
+  const score = 50 + edgePct * 2 + Math.min(bookCount, 10) * 1.5;
+  return Math.max(0, Math.min(90, Math.round(score)));
+}
+
+module.exports = {
+  americanToDecimal,
+  decimalToAmerican,
+  impliedProbability,
+  formatAmerican,
+  americanCents,
+  removeVig,
+  expectedValue,
+  confidenceScore
+};
@@ -0,0 +1,310 @@
+// ── BET JOURNAL STORE ─────────────────────────────────────────────────────────
+// Key schema:
+//   journal:{journalId}         →  hash of betId → JSON bet
+//   journal:{journalId}:placed  →  sorted set of betId scored by placedAt (ms)
+//   journal:pending             →  sorted set of "{journalId}|{betId}" for pending
+//                                  bets awaiting auto-settlement, scored by start
+//                                  (or placedAt) time
+// Every bet carries a `version` that is bumped on each write; updates that
+// name a stale version are rejected instead of overwriting newer data.
+
+const crypto = require('crypto');
+const ev = require('./ev');
+
+const MARKETS = ['moneyline', 'spread', 'total', 'prop', 'parlay', 'future', 'other'];
+const OUTCOMES = ['pending', 'win', 'loss', 'push'];
+const MAX_TAGS = 20;
+const MAX_NOTES = 2000;
+
+class JournalError extends Error {
+  constructor(message, status, extra = {}) {
+    super(message);
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+function parseAmerican(value) {
+  const n = Number(String(value).replace(/^\+/, ''));
+  return Number.isFinite(n) && Math.abs(n) >= 100 ? Math.round(n) : null;
+}
+
+// Validates and normalizes bet fields. With `partial`, only supplied fields are
+// checked (for updates); otherwise required fields must be present. Unknown
+// fields and server-owned ones (id, version, timestamps) are dropped.
+function validateBet(input, { partial = false } = {}) {
+  const errors = [];
+  const bet = {};
+  const src = input || {};
+  const has = (k) => src[k] !== undefined;
+
+  if (has('sport') || !partial) {
+    if (typeof src.sport !== 'string' || !/^[A-Za-z0-9_ ]{2,20}$/.test(src.sport)) errors.push('sport must be a short name like NBA');
+    else bet.sport = src.sport.toUpperCase().trim();
+  }
+
+  if (has('market') || !partial) {
+    if (!MARKETS.includes(src.market)) errors.push(`market must be one of: ${MARKETS.join(', ')}`);
+    else bet.market = src.market;
+  }
+
+  if (has('selection') || !partial) {
+    if (typeof src.selection !== 'string' || !src.selection.trim() || src.selection.length > 200) {
+      errors.push('selection must be a non-empty string up to 200 characters');
+    } else bet.selection = src.selection.trim();
+  }
+
+  if (has('point') && src.point !== null) {
+    if (!Number.isFinite(Number(src.point))) errors.push('point must be a number');
+    else bet.point = Number(src.point);
+  }
+
+  if (has('eventId') && src.eventId !== null) bet.eventId = String(src.eventId);
+
+  if (has('commenceTime') && src.commenceTime !== null) {
+    const start = new Date(src.commenceTime);
+    if (isNaN(start)) errors.push('commenceTime must be an ISO date');
+    else bet.commenceTime = start.toISOString();
+  }
+
+  const oddsSupplied = has('americanOdds') || has('odds') || has('decimalOdds');
+  if (oddsSupplied || !partial) {
+    const american = has('americanOdds') ? parseAmerican(src.americanOdds) : has('odds') ? parseAmerican(src.odds) : null;
+    const decimal = has('decimalOdds') ? Number(src.decimalOdds) : null;
+
+    if (american != null) {
+      bet.americanOdds = american;
+      bet.decimalOdds = Math.round(ev.americanToDecimal(american) * 1000) / 1000;
+    } else if (Number.isFinite(decimal) && decimal > 1) {
+      bet.decimalOdds = decimal;
+      bet.americanOdds = ev.decimalToAmerican(decimal);
+    } else {
+      errors.push('odds required: americanOdds (e.g. -110, +150) or decimalOdds (> 1)');
+    }
+  }
+
+  if (has('stake') || !partial) {
+    const stake = Number(src.stake);
+    if (!Number.isFinite(stake) || stake <= 0) errors.push('stake must be a positive number');
+    else bet.stake = Math.round(stake * 100) / 100;
+  }
+
+  if (has('book') || !partial) {
+    if (typeof src.book !== 'string' || !src.book.trim() || src.book.length > 50) errors.push('book must be a non-empty string up to 50 characters');
+    else bet.book = src.book.trim();
+  }
+
+  if (has('placedAt') || !partial) {
+    const placed = has('placedAt') ? new Date(src.placedAt) : new Date();
+    if (isNaN(placed)) errors.push('placedAt must be an ISO date');
+    else bet.placedAt = placed.toISOString();
+  }
+
+  if (has('tags')) {
+    if (!Array.isArray(src.tags) || src.tags.length > MAX_TAGS || src.tags.some(t => typeof t !== 'string' || t.length > 30)) {
+      errors.push(`tags must be up to ${MAX_TAGS} strings of 30 characters`);
+    } else bet.tags = [...new Set(src.tags.map(t => t.trim().toLowerCase()).filter(Boolean))];
+  } else if (!partial) bet.tags = [];
+
+  if (has('notes')) {
+    if (typeof src.notes !== 'string' || src.notes.length > MAX_NOTES) errors.push(`notes must be a string up to ${MAX_NOTES} characters`);
+    else bet.notes = src.notes;
+  } else if (!partial) bet.notes = '';
+
+  if (has('outcome') || !partial) {
+    const outcome = has('outcome') ? src.outcome : 'pending';
+    if (!OUTCOMES.includes(outcome)) errors.push(`outcome must be one of: ${OUTCOMES.join(', ')}`);
+    else bet.outcome = outcome;
+  }
+
+  return { bet, errors };
+}
+
+// Pre-validation bets synced as raw arrays are kept as-is, with server fields added.
+function normalizeLegacyBet(raw) {
+  const now = new Date().toISOString();
+  const placed = new Date(raw.placedAt || raw.date || raw.createdAt || now);
+  return {
+    ...raw,
+    id: String(raw.id ?? crypto.randomUUID()),
+    outcome: OUTCOMES.includes(raw.outcome) ? raw.outcome : 'pending',
+    placedAt: isNaN(placed) ? now : placed.toISOString(),
+    createdAt: raw.createdAt || now,
+    updatedAt: now,
+    version: 1,
+    legacy: true
+  };
+}
+
+// Atomic compare-and-set against the version last read: 0 when another write
+// landed in between, -1 when the bet is gone.
+const UPDATE_SCRIPT = `
+local cur = redis.call('HGET', KEYS[1], ARGV[1])
+if not cur then return -1 end
+if tonumber(cjson.decode(cur).version) ~= tonumber(ARGV[2]) then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+redis.call('ZADD', KEYS[2], ARGV[4], ARGV[1])
+return 1
+`;
+
+function createJournalStore({ redis }) {
+  const hashKey = (journalId) => `journal:${journalId}`;
+  const placedKey = (journalId) => `journal:${journalId}:placed`;
+  const pendingMember = (journalId, betId) => `${journalId}|${betId}`;
+
+  async function indexPending(journalId, bet) {
+    if (bet.outcome === 'pending') {
+      const at = new Date(bet.commenceTime || bet.placedAt).getTime();
+      await redis.zAdd('journal:pending', { score: at, value: pendingMember(journalId, bet.id) });
+    } else {
+      await redis.zRem('journal:pending', pendingMember(journalId, bet.id));
+    }
+  }
+
+  // Pending bets whose game (or placement) time is at or before `before`.
+  async function listPending({ before = Date.now() } = {}) {
+    const members = await redis.zRangeByScore('journal:pending', '-inf', before);
+    return members.map(m => {
+      const split = m.indexOf('|');
+      return { journalId: m.slice(0, split), betId: m.slice(split + 1), member: m };
+    });
+  }
+
+  const unindexPending = (member) => redis.zRem('journal:pending', member);
+
+  async function list(journalId, { from, to } = {}) {
+    const min = from ? new Date(from).getTime() : '-inf';
+    const max = to ? new Date(to).getTime() : '+inf';
+    const ids = await redis.zRange(placedKey(journalId), max, min, { BY: 'SCORE', REV: true });
+    if (!ids.length) return [];
+    const raw = await redis.hmGet(hashKey(journalId), ids);
+    return raw.filter(Boolean).map(r => JSON.parse(r));
+  }
+
+  async function get(journalId, betId) {
+    const raw = await redis.hGet(hashKey(journalId), String(betId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // Inserts without overwriting; returns false if the id already exists.
+  async function insert(journalId, bet) {
+    const added = await redis.hSetNX(hashKey(journalId), bet.id, JSON.stringify(bet));
+    if (!added) return false;
+    await redis.zAdd(placedKey(journalId), { score: new Date(bet.placedAt).getTime(), value: bet.id });
+    await indexPending(journalId, bet);
+    return true;
+  }
+
+  // `origin` records where an imported bet came from; `settledAt` backdates
+  // bets that were already graded elsewhere.
+  async function create(journalId, input, { origin = null, settledAt = null } = {}) {
+    const { bet, errors } = validateBet(input);
+    if (errors.length) throw new JournalError('Invalid bet', 400, { errors });
+
+    const now = new Date().toISOString();
+    const record = {
+      id: input.id != null ? String(input.id) : crypto.randomUUID(),
+      ...bet,
+      createdAt: now,
+      updatedAt: now,
+      version: 1
+    };
+    if (origin) record.origin = origin;
+    if (record.outcome !== 'pending') record.settledAt = settledAt || now;
+
+    if (!await insert(journalId, record)) throw new JournalError('Bet already exists', 409, { bet: await get(journalId, record.id) });
+    return record;
+  }
+
+  // `expectedVersion` null skips the check (server-side writers such as settlement).
+  async function update(journalId, betId, changes, expectedVersion, { validate = true } = {}) {
+    let patch = changes;
+    if (validate) {
+      const { bet, errors } = validateBet(changes, { partial: true });
+      if (errors.length) throw new JournalError('Invalid bet', 400, { errors });
+      patch = bet;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const current = await get(journalId, betId);
+      if (!current) throw new JournalError('Bet not found', 404);
+      if (expectedVersion != null && Number(expectedVersion) !== current.version) {
+        throw new JournalError('Bet was modified by another device', 409, { bet: current });
+      }
+
+      const now = new Date().toISOString();
+      const next = { ...current, ...patch, updatedAt: now, version: current.version + 1 };
+      if (patch.outcome && patch.outcome !== current.outcome) {
+        next.settledAt = patch.outcome === 'pending' ? undefined : now;
+        next.settlement = patch.outcome === 'pending' ? undefined : patch.settlement || { source: 'manual', settledAt: now };
+      }
+
+      const result = await redis.eval(UPDATE_SCRIPT, {
+        keys: [hashKey(journalId), placedKey(journalId)],
+        arguments: [String(betId), String(current.version), JSON.stringify(next), String(new Date(next.placedAt).getTime())]
+      });
+      if (result === 1) {
+        await indexPending(journalId, next);
+        return next;
+      }
+      if (result === -1) throw new JournalError('Bet not found', 404);
+      // Lost a race with another writer; re-read and retry if no version was pinned
+      if (expectedVersion != null) throw new JournalError('Bet was modified by another device', 409, { bet: await get(journalId, betId) });
+    }
+    throw new JournalError('Bet is being modified concurrently, try again', 409);
+  }
+
+  async function remove(journalId, betId) {
+    const [removed] = await redis.multi()
+      .hDel(hashKey(journalId), String(betId))
+      .zRem(placedKey(journalId), String(betId))
+      .zRem('journal:pending', pendingMember(journalId, betId))
+      .exec();
+    return removed;
+  }
+
+  // Moves the pre-hash JSON array at `legacyKey` into the journal, keeping any
+  // bet already present. Safe to call repeatedly.
+  async function importLegacy(journalId, legacyKey) {
+    const raw = await redis.get(legacyKey);
+    if (!raw) return 0;
+    let imported = 0;
+    for (const bet of JSON.parse(raw)) {
+      if (bet && typeof bet === 'object' && await insert(journalId, normalizeLegacyBet(bet))) imported++;
+    }
+    await redis.del(legacyKey);
+    return imported;
+  }
+
+  // Copies every bet from one journal into another (guest → account), then
+  // deletes the source journal. A bet whose id is taken by a different bet is
+  // copied under an id derived from the source, so a merge retried after a
+  // failure finds its earlier copies instead of duplicating them.
+  async function merge(fromJournalId, toJournalId) {
+    const source = await redis.hGetAll(hashKey(fromJournalId));
+    let merged = 0;
+    let renamed = 0;
+    for (const raw of Object.values(source)) {
+      const bet = JSON.parse(raw);
+      if (await insert(toJournalId, bet)) {
+        merged++;
+        continue;
+      }
+      if (await redis.hGet(hashKey(toJournalId), bet.id) === raw) continue;
+      if (await insert(toJournalId, { ...bet, id: `${bet.id}-${fromJournalId}` })) {
+        merged++;
+        renamed++;
+      }
+    }
+
+    // Only once every bet is in the target
+    const tx = redis.multi().del([hashKey(fromJournalId), placedKey(fromJournalId)]);
+    for (const betId of Object.keys(source)) tx.zRem('journal:pending', pendingMember(fromJournalId, betId));
+    await tx.exec();
+    return { merged, renamed, skipped: Object.keys(source).length - merged };
+  }
+
+  return { list, get, create, update, remove, importLegacy, merge, listPending, unindexPending };
+}
+
+module.exports = { MARKETS, OUTCOMES, JournalError, validateBet, createJournalStore };
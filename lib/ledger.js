@@ -0,0 +1,262 @@
+// ── PICK LEDGER ───────────────────────────────────────────────────────────────
+// Write-once record of every pick the model issued, graded from final scores,
+// and the track record built from it. A pick is stored the first time its id
+// (event, market, side and line) is issued, at that moment's price; later
+// issues of the same pick never rewrite it. Results are likewise written once.
+// Returns assume a flat one-unit stake per pick at the issued odds.
+// Key schema:
+//   ledger:pick:{pickId}       →  JSON pick as issued
+//   ledger:result:{pickId}     →  JSON grade { result, profit, gradedAt, finalScore }
+//   ledger:issued              →  sorted set of pickId scored by issue time (ms)
+//   ledger:issued:{sport}      →  the same, per sport
+//   ledger:ungraded            →  sorted set of pickId scored by commenceTime (ms)
+//   ledger:summary:{filters}   →  cached track record JSON (5 min)
+//   ledger:lock                →  token of the instance running a grading pass
+
+const ev = require('./ev');
+const { SPORTS } = require('./odds');
+const { acquireLock, releaseLock, normalizeGame, gradeBet } = require('./settlement');
+
+const MIN_GAME_LENGTH_MS = 2 * 3600 * 1000;
+// Scores feeds only look back three days; picks still without a final by then are voided
+const GRADE_DEADLINE_MS = 3 * 24 * 3600 * 1000;
+const SUMMARY_TTL_SECONDS = 300;
+const FETCH_CHUNK = 1000;
+
+const CONFIDENCE_BUCKETS = [
+  { label: '<60', min: 0, max: 59 },
+  { label: '60-69', min: 60, max: 69 },
+  { label: '70-79', min: 70, max: 79 },
+  { label: '80+', min: 80, max: 100 }
+];
+
+const round = (n, dp = 2) => Math.round(n * 10 ** dp) / 10 ** dp;
+const isDecided = (r) => r.result?.result === 'win' || r.result?.result === 'loss';
+const isGraded = (r) => isDecided(r) || r.result?.result === 'push';
+
+function ledgerEntry(pick, issuedAt) {
+  const american = Number(String(pick.odds).replace(/^\+/, ''));
+  return {
+    id: pick.id,
+    eventId: pick.eventId,
+    sport: pick.sport,
+    market: pick.market,
+    selection: pick.selection,
+    point: pick.point ?? null,
+    bet: pick.bet,
+    americanOdds: american,
+    decimalOdds: round(ev.americanToDecimal(american), 3),
+    book: pick.book,
+    edge: pick.edge,
+    confidence: pick.confidence,
+    fairProb: pick.fairProb,
+    impliedProb: pick.impliedProb,
+    books: pick.books,
+    homeTeam: pick.homeTeam,
+    awayTeam: pick.awayTeam,
+    commenceTime: pick.commenceTime,
+    issuedAt
+  };
+}
+
+// ROI and hit rate over { pick, result } rows
+function summarize(rows) {
+  const graded = rows.filter(isGraded);
+  const wins = graded.filter(r => r.result.result === 'win').length;
+  const losses = graded.filter(r => r.result.result === 'loss').length;
+  const profit = graded.reduce((sum, r) => sum + r.result.profit, 0);
+  return {
+    graded: graded.length,
+    wins,
+    losses,
+    pushes: graded.length - wins - losses,
+    hitRate: wins + losses ? round(wins / (wins + losses) * 100, 1) : null,
+    units: round(profit),
+    roi: graded.length ? round(profit / graded.length * 100, 1) : null,
+    avgEdge: graded.length ? round(graded.reduce((sum, r) => sum + r.pick.edge, 0) / graded.length, 1) : null
+  };
+}
+
+// Predicted win probability (vig-free fair line) against how often picks won,
+// in 10-point bands, plus the Brier score over all decided picks.
+function calibration(rows) {
+  const decided = rows.filter(isDecided);
+  const bands = new Map();
+  for (const r of decided) {
+    const band = Math.min(9, Math.floor(r.pick.fairProb * 10));
+    if (!bands.has(band)) bands.set(band, []);
+    bands.get(band).push(r);
+  }
+  const won = (r) => (r.result.result === 'win' ? 1 : 0);
+  return {
+    brierScore: decided.length
+      ? round(decided.reduce((sum, r) => sum + (r.pick.fairProb - won(r)) ** 2, 0) / decided.length, 4)
+      : null,
+    buckets: [...bands.keys()].sort((a, b) => a - b).map(band => {
+      const group = bands.get(band);
+      return {
+        range: `${band * 10}-${band * 10 + 10}%`,
+        picks: group.length,
+        predicted: round(group.reduce((sum, r) => sum + r.pick.fairProb, 0) / group.length * 100, 1),
+        actual: round(group.reduce((sum, r) => sum + won(r), 0) / group.length * 100, 1)
+      };
+    })
+  };
+}
+
+function byConfidence(rows) {
+  return CONFIDENCE_BUCKETS.map(({ label, min, max }) => {
+    const group = rows.filter(r => r.pick.confidence >= min && r.pick.confidence <= max);
+    const decided = group.filter(isDecided);
+    return {
+      bucket: label,
+      ...summarize(group),
+      meanConfidence: decided.length ? round(decided.reduce((sum, r) => sum + r.pick.confidence, 0) / decided.length, 1) : null,
+      expectedHitRate: decided.length ? round(decided.reduce((sum, r) => sum + r.pick.fairProb, 0) / decided.length * 100, 1) : null
+    };
+  });
+}
+
+function createPickLedger({ redis, scores }) {
+  const pickKey = (id) => `ledger:pick:${id}`;
+  const resultKey = (id) => `ledger:result:${id}`;
+
+  // Stores picks not already in the ledger; returns how many were new. Picks on
+  // games that have started are never recorded.
+  async function record(picks, { now = Date.now() } = {}) {
+    picks = picks.filter(p => new Date(p.commenceTime).getTime() > now);
+    if (!picks.length) return 0;
+    const issuedAt = new Date(now).toISOString();
+    const tx = redis.multi();
+    for (const pick of picks) tx.set(pickKey(pick.id), JSON.stringify(ledgerEntry(pick, issuedAt)), { NX: true });
+    const written = await tx.exec();
+
+    const fresh = picks.filter((_, i) => written[i] === 'OK');
+    if (!fresh.length) return 0;
+    const index = redis.multi();
+    for (const pick of fresh) {
+      index.zAdd('ledger:issued', { score: now, value: pick.id });
+      index.zAdd(`ledger:issued:${pick.sport}`, { score: now, value: pick.id });
+      index.zAdd('ledger:ungraded', { score: new Date(pick.commenceTime).getTime(), value: pick.id });
+    }
+    await index.exec();
+    return fresh.length;
+  }
+
+  async function load(ids) {
+    const rows = [];
+    for (let i = 0; i < ids.length; i += FETCH_CHUNK) {
+      const chunk = ids.slice(i, i + FETCH_CHUNK);
+      const [picks, results] = await Promise.all([
+        redis.mGet(chunk.map(pickKey)),
+        redis.mGet(chunk.map(resultKey))
+      ]);
+      picks.forEach((raw, j) => {
+        if (raw) rows.push({ pick: JSON.parse(raw), result: results[j] ? JSON.parse(results[j]) : null });
+      });
+    }
+    return rows;
+  }
+
+  const issuedIndex = (sport) => (sport ? `ledger:issued:${sport}` : 'ledger:issued');
+  const bound = (date, fallback) => (date ? new Date(date).getTime() : fallback);
+
+  // Grades picks whose games should be over. At most one scores pull per sport,
+  // and none for a sport whose due games are all already final.
+  async function gradeDue({ now = Date.now() } = {}) {
+    const lock = await acquireLock(redis, 'ledger:lock', 600);
+    if (!lock) return { graded: 0, voided: 0 };
+
+    const results = { graded: 0, voided: 0 };
+    try {
+      const due = await load(await redis.zRangeByScore('ledger:ungraded', '-inf', now - MIN_GAME_LENGTH_MS));
+      const gamesBySport = new Map();
+      const eventIds = (sport) => due.filter(r => r.pick.sport === sport).map(r => r.pick.eventId);
+
+      for (const { pick } of due) {
+        if (!gamesBySport.has(pick.sport)) {
+          try {
+            const raw = SPORTS[pick.sport]
+              ? await scores.fetchScores(SPORTS[pick.sport].key, { eventIds: eventIds(pick.sport) })
+              : [];
+            gamesBySport.set(pick.sport, raw.map(normalizeGame));
+          } catch (e) {
+            // Leave the sport's picks for the next pass rather than voiding them
+            console.error(`Scores fetch failed for ${pick.sport}:`, e.message);
+            gamesBySport.set(pick.sport, null);
+          }
+        }
+        const games = gamesBySport.get(pick.sport);
+        if (!games) continue;
+
+        try {
+          const game = games.find(g => g.id === pick.eventId);
+          const outcome = game && gradeBet(pick, game);
+
+          let grade;
+          if (outcome) {
+            grade = {
+              result: outcome,
+              profit: outcome === 'win' ? round(pick.decimalOdds - 1, 3) : outcome === 'loss' ? -1 : 0,
+              finalScore: { [game.homeTeam]: game.homeScore, [game.awayTeam]: game.awayScore }
+            };
+            results.graded++;
+          } else if (now - new Date(pick.commenceTime).getTime() > GRADE_DEADLINE_MS) {
+            grade = { result: 'void', profit: 0, finalScore: null };
+            results.voided++;
+          } else {
+            continue;
+          }
+
+          await redis.set(resultKey(pick.id), JSON.stringify({ ...grade, gradedAt: new Date(now).toISOString(), source: scores.name }), { NX: true });
+          await redis.zRem('ledger:ungraded', pick.id);
+        } catch (e) {
+          console.error(`Grading failed for pick ${pick.id}:`, e.message);
+        }
+      }
+    } finally {
+      await releaseLock(redis, 'ledger:lock', lock);
+    }
+    return results;
+  }
+
+  // ROI, hit rate by confidence bucket, calibration and per-sport breakdown for
+  // picks issued in [from, to]. Cached for a few minutes per filter set.
+  async function trackRecord({ sport, from, to } = {}) {
+    const cacheKey = `ledger:summary:${sport || 'all'}:${from || ''}:${to || ''}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return JSON.parse(cached);
+
+    const ids = await redis.zRangeByScore(issuedIndex(sport), bound(from, '-inf'), bound(to, '+inf'));
+    const rows = await load(ids);
+
+    const sports = [...new Set(rows.map(r => r.pick.sport))].sort();
+    const report = {
+      filters: { sport: sport || null, from: from || null, to: to || null },
+      issued: rows.length,
+      pending: rows.filter(r => !r.result).length,
+      voided: rows.filter(r => r.result?.result === 'void').length,
+      ...summarize(rows),
+      byConfidence: byConfidence(rows),
+      calibration: calibration(rows),
+      bySport: Object.fromEntries(sports.map(s => [s, summarize(rows.filter(r => r.pick.sport === s))])),
+      firstIssuedAt: rows[0]?.pick.issuedAt || null,
+      generatedAt: new Date().toISOString()
+    };
+    await redis.set(cacheKey, JSON.stringify(report), { EX: SUMMARY_TTL_SECONDS });
+    return report;
+  }
+
+  // Picks with their results, newest first; `before` (ISO) pages back.
+  async function list({ sport, from, to, before, limit = 100 } = {}) {
+    const max = Math.min(bound(to, Infinity), before ? new Date(before).getTime() - 1 : Infinity);
+    const ids = await redis.zRange(issuedIndex(sport), max === Infinity ? '+inf' : max, bound(from, '-inf'), {
+      BY: 'SCORE', REV: true, LIMIT: { offset: 0, count: limit }
+    });
+    return (await load(ids)).map(({ pick, result }) => ({ ...pick, result }));
+  }
+
+  return { record, gradeDue, trackRecord, list };
+}
+
+module.exports = { CONFIDENCE_BUCKETS, summarize, calibration, createPickLedger };
@@ -0,0 +1,173 @@
+// ── RATE LIMITS & DAILY QUOTAS ────────────────────────────────────────────────
+// Both are counters in Redis updated by Lua scripts, so checks and increments
+// are atomic across instances and survive restarts.
+// A quota day runs to local midnight in the user's timezone, fixed when the day
+// starts: changing timezone only moves the next reset, and a reset is never
+// sooner than MIN_QUOTA_DAY_MS after the last, so hopping zones can't buy an
+// extra day's quota.
+// Key schema:
+//   ratelimit:{name}:{subject}        →  request count for the current fixed window
+//   quota:{name}:{userId}             →  units used this quota day (expires at its reset)
+//   quota:{name}:{userId}:reset       →  when this quota day ends (ms), kept 2 days past
+
+const RESET_KEEP_MS = 2 * 24 * 3600 * 1000;
+// 23 hours, so a day shortened by a DST change still resets at midnight
+const MIN_QUOTA_DAY_MS = 23 * 3600 * 1000;
+
+// Returns { count, ttl } after counting one hit; the first hit starts the window.
+const HIT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('EXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('TTL', KEYS[1]) }
+`;
+
+// Shared by the quota scripts: KEYS = [count, reset], ARGV = [now, next reset,
+// reset key PX, ...]. Starts a new quota day once the current one has ended.
+const ROLL_DAY = `
+local reset = redis.call('GET', KEYS[2])
+if not reset or tonumber(reset) <= tonumber(ARGV[1]) then
+  reset = ARGV[2]
+  redis.call('SET', KEYS[2], reset, 'PX', ARGV[3])
+  redis.call('DEL', KEYS[1])
+end
+`;
+
+// Returns { allowed, used, resetsAt }: increments only while used < ARGV[4].
+const CONSUME_SCRIPT = ROLL_DAY + `
+local used = tonumber(redis.call('GET', KEYS[1]) or '0')
+if used >= tonumber(ARGV[4]) then return { 0, used, reset } end
+used = redis.call('INCR', KEYS[1])
+redis.call('PEXPIREAT', KEYS[1], reset)
+return { 1, used, reset }
+`;
+
+// Sets the day's usage to ARGV[4]; returns resetsAt.
+const SET_SCRIPT = ROLL_DAY + `
+redis.call('SET', KEYS[1], ARGV[4])
+redis.call('PEXPIREAT', KEYS[1], reset)
+return reset
+`;
+
+const REFUND_SCRIPT = `
+if tonumber(redis.call('GET', KEYS[1]) or '0') > 0 then return redis.call('DECR', KEYS[1]) end
+return 0
+`;
+
+function isTimeZone(value) {
+  if (!value || typeof value !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function localParts(timezone, at) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(at);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    secondsIntoDay: Number(part('hour')) * 3600 + Number(part('minute')) * 60 + Number(part('second'))
+  };
+}
+
+// The user's current calendar day and the instant it ends (next local midnight).
+// A DST change during the day shifts midnight by an hour, corrected for here.
+function quotaDay(timezone, at = new Date()) {
+  const { date, secondsIntoDay } = localParts(timezone, at);
+  let resetsAt = at.getTime() - at.getMilliseconds() + (86400 - secondsIntoDay) * 1000;
+  const check = localParts(timezone, new Date(resetsAt)).secondsIntoDay;
+  if (check >= 12 * 3600) resetsAt += (86400 - check) * 1000;
+  else resetsAt -= check * 1000;
+  return { date, resetsAt: new Date(resetsAt).toISOString() };
+}
+
+// When a quota day starting at `at` ends: the next local midnight at least
+// MIN_QUOTA_DAY_MS after the previous day's reset (ms, 0 for none).
+function nextQuotaReset(timezone, at, previousReset = 0) {
+  let reset = Date.parse(quotaDay(timezone, at).resetsAt);
+  while (previousReset && reset < previousReset + MIN_QUOTA_DAY_MS) {
+    reset = Date.parse(quotaDay(timezone, new Date(reset + 1000)).resetsAt);
+  }
+  return reset;
+}
+
+function createRateLimiter({ redis }) {
+  // Counts one request for `subject`; allowed while the window holds <= limit.
+  async function hit(name, subject, { limit, windowSeconds }) {
+    const [count, ttl] = await redis.eval(HIT_SCRIPT, {
+      keys: [`ratelimit:${name}:${subject}`],
+      arguments: [String(windowSeconds)]
+    });
+    return {
+      allowed: count <= limit,
+      limit,
+      remaining: Math.max(0, limit - count),
+      retryAfter: Math.max(1, ttl)
+    };
+  }
+
+  return { hit };
+}
+
+function createQuotaStore({ redis }) {
+  const quotaKey = (name, userId) => `quota:${name}:${userId}`;
+  const resetKey = (name, userId) => `quota:${name}:${userId}:reset`;
+
+  const describe = (used, limit, resetsAt, timezone) => ({
+    used,
+    limit,
+    remaining: Math.max(0, limit - used),
+    resetsAt: new Date(resetsAt).toISOString(),
+    timezone
+  });
+
+  // The current day's reset, or when a day starting now would end.
+  async function currentDay(name, userId, timezone, now) {
+    const reset = Number(await redis.get(resetKey(name, userId))) || 0;
+    return reset > now
+      ? { reset, started: true }
+      : { reset: nextQuotaReset(timezone, new Date(now), reset), started: false };
+  }
+
+  // Runs a ROLL_DAY script, passing what a new day would need if one starts.
+  async function runDay(script, name, userId, timezone, extra) {
+    const now = Date.now();
+    const { reset } = await currentDay(name, userId, timezone, now);
+    return redis.eval(script, {
+      keys: [quotaKey(name, userId), resetKey(name, userId)],
+      arguments: [String(now), String(reset), String(reset - now + RESET_KEEP_MS), String(extra)]
+    });
+  }
+
+  // Uses one unit of today's quota if any is left.
+  async function consume(name, userId, { limit, timezone }) {
+    const [allowed, used, resetsAt] = await runDay(CONSUME_SCRIPT, name, userId, timezone, limit);
+    return { allowed: allowed === 1, ...describe(used, limit, Number(resetsAt), timezone) };
+  }
+
+  // Gives a unit back, e.g. when the request it paid for failed upstream.
+  async function refund(name, userId) {
+    await redis.eval(REFUND_SCRIPT, { keys: [quotaKey(name, userId)], arguments: [] });
+  }
+
+  // Sets today's usage outright (admin corrections).
+  async function set(name, userId, { used, timezone }) {
+    await runDay(SET_SCRIPT, name, userId, timezone, used);
+  }
+
+  async function usage(name, userId, { limit, timezone }) {
+    const now = Date.now();
+    const { reset, started } = await currentDay(name, userId, timezone, now);
+    const used = started ? Number(await redis.get(quotaKey(name, userId))) || 0 : 0;
+    return describe(used, limit, reset, timezone);
+  }
+
+  return { consume, refund, set, usage };
+}
+
+module.exports = { isTimeZone, quotaDay, nextQuotaReset, createRateLimiter, createQuotaStore };
@@ -0,0 +1,53 @@
+// ── MAIL ──────────────────────────────────────────────────────────────────────
+// Pluggable outbound email. MAIL_TRANSPORT selects the sink:
+//   none     →  refuse to send (default, so sign-in links never reach logs)
+//   console  →  log the message, links and all (development only)
+//   file     →  append JSON lines to MAIL_FILE (default ./mail.log)
+//   webhook  →  POST { from, to, subject, text } to MAIL_WEBHOOK_URL, for relays
+//               such as a Zapier/Make hook or a provider's HTTP API
+
+const fs = require('fs');
+
+const transports = {
+  none: () => async () => {
+    throw new Error('Outbound email is not configured (set MAIL_TRANSPORT)');
+  },
+
+  console: () => async (message) => {
+    console.log(`📧 To: ${message.to} | ${message.subject}\n${message.text}`);
+  },
+
+  file: (env) => {
+    const file = env.MAIL_FILE || 'mail.log';
+    return async (message) => {
+      await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    };
+  },
+
+  webhook: (env) => async (message) => {
+    if (!env.MAIL_WEBHOOK_URL) throw new Error('MAIL_WEBHOOK_URL not configured');
+    const res = await fetch(env.MAIL_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (!res.ok) throw new Error(`Mail webhook ${res.status}`);
+  }
+};
+
+function createMailer(env = process.env) {
+  const name = (env.MAIL_TRANSPORT || 'none').toLowerCase();
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  if (name === 'none') console.warn('MAIL_TRANSPORT not set — outbound email is disabled');
+
+  const send = factory(env);
+  const from = env.MAIL_FROM || 'EdgeBet AI <no-reply@edgebet.ai>';
+
+  return {
+    transport: name,
+    send: ({ to, subject, text }) => send({ from, to, subject, text })
+  };
+}
+
+module.exports = { createMailer };
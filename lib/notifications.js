@@ -0,0 +1,444 @@
+// ── NOTIFICATIONS ─────────────────────────────────────────────────────────────
+// Routes alerts to each user's own channels (Discord webhook, email, signed HTTP
+// webhook). Sends go through a Redis queue with retries and backoff, so a slow
+// or failing endpoint never holds up the odds pull that produced the alert.
+// Key schema:
+//   notify:subs:{event}  →  set of user ids subscribed to the event
+//   notify:queue         →  sorted set of job ids scored by next attempt (ms)
+//   notify:job:{id}      →  JSON job { id, channel, target, message, payload, attempts }
+//   notify:dead          →  list of jobs that ran out of attempts (latest 500)
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { EVENT_FEATURES, shouldDeliver } = require('./realtime');
+const { isTimeZone } = require('./limits');
+
+const EVENTS = ['pick', 'steam', 'arb', 'bet_settled'];
+const CHANNELS = ['discord', 'email', 'webhook'];
+// Price alerts are stale by the time quiet hours end, so they are dropped;
+// settlement results are held until the end instead.
+const TIME_SENSITIVE = new Set(['pick', 'steam', 'arb']);
+
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_MS = 30 * 1000;
+const SEND_TIMEOUT_MS = 10 * 1000;
+const JOB_TTL_SECONDS = 3 * 24 * 3600;
+const DEAD_LETTER_LIMIT = 500;
+const DISCORD_API = 'https://discord.com/api/v10';
+
+class NotificationError extends Error {
+  constructor(message, status = 400, extra = {}) {
+    super(message);
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function isDiscordWebhook(value) {
+  if (!isHttpsUrl(value)) return false;
+  const url = new URL(value);
+  return /^(discord|discordapp)\.com$/.test(url.hostname) && url.pathname.startsWith('/api/webhooks/');
+}
+
+// User webhooks are POSTed from inside our network, so they may only reach
+// public addresses: no loopback, private, link-local (cloud metadata) or
+// otherwise reserved ranges.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) PRIVATE_RANGES.addSubnet(prefix, bits, 'ipv6');
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (!family) return false;
+  if (family === 6 && /^::ffff:/i.test(ip)) return false;
+  return !PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// What can be told from the URL alone; names are resolved when saved and sent.
+function isPublicWebhookUrl(value) {
+  if (!isHttpsUrl(value)) return false;
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (net.isIP(host)) return isPublicAddress(host);
+  return host.includes('.') && !/(^|\.)(localhost|local|internal|localdomain)$/.test(host);
+}
+
+// dns.lookup that fails when any resolved address is private. Used as the
+// request's lookup, so the address checked is the one connected to.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(a => !isPublicAddress(a.address))) {
+      return callback(new Error(`${hostname} does not resolve to a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Validates a settings body into:
+// { channels: { discord?, email?, webhook? }, subscriptions: { [event]: { channels, minEdge? } },
+//   quietHours: { start, end, timezone } | null, discordUserId: string | null }
+// The webhook signing secret is kept from `current` unless rotateSecret is set.
+function validateSettings(input = {}, current = {}) {
+  const errors = [];
+  const settings = { channels: {}, subscriptions: {}, quietHours: null, discordUserId: null };
+  const channels = input.channels || {};
+
+  if (channels.discord?.webhookUrl) {
+    if (isDiscordWebhook(channels.discord.webhookUrl)) settings.channels.discord = { webhookUrl: channels.discord.webhookUrl };
+    else errors.push('channels.discord.webhookUrl must be a Discord webhook URL');
+  }
+  if (channels.email?.enabled) settings.channels.email = { enabled: true };
+  if (channels.webhook?.url) {
+    if (isPublicWebhookUrl(channels.webhook.url)) {
+      const keep = !channels.webhook.rotateSecret && current.channels?.webhook?.secret;
+      settings.channels.webhook = { url: channels.webhook.url, secret: keep || newSecret() };
+    } else {
+      errors.push('channels.webhook.url must be an https URL on a public host');
+    }
+  }
+
+  for (const [event, sub] of Object.entries(input.subscriptions || {})) {
+    if (!EVENTS.includes(event)) {
+      errors.push(`Unknown event: ${event} (expected one of ${EVENTS.join(', ')})`);
+      continue;
+    }
+    const list = [...new Set(Array.isArray(sub?.channels) ? sub.channels : [])];
+    for (const channel of list) {
+      if (!CHANNELS.includes(channel)) errors.push(`subscriptions.${event}: unknown channel ${channel}`);
+      else if (!settings.channels[channel]) errors.push(`subscriptions.${event}: channel ${channel} is not configured`);
+    }
+    if (!list.length) continue;
+
+    const entry = { channels: list };
+    if (event === 'pick') {
+      entry.minEdge = Number(sub.minEdge ?? 0);
+      if (!(entry.minEdge >= 0 && entry.minEdge <= 100)) errors.push('subscriptions.pick.minEdge must be between 0 and 100');
+    }
+    settings.subscriptions[event] = entry;
+  }
+
+  if (input.quietHours) {
+    const { start, end, timezone } = input.quietHours;
+    const hhmm = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!hhmm.test(start || '') || !hhmm.test(end || '')) errors.push('quietHours.start and quietHours.end must be HH:MM');
+    if (!timezone || !isTimeZone(timezone)) errors.push('quietHours.timezone must be an IANA time zone');
+    settings.quietHours = { start, end, timezone };
+  }
+
+  if (input.discordUserId) {
+    if (/^\d{17,20}$/.test(String(input.discordUserId))) settings.discordUserId = String(input.discordUserId);
+    else errors.push('discordUserId must be a Discord user id');
+  }
+
+  if (errors.length) throw new NotificationError('Invalid notification settings', 400, { errors });
+  return settings;
+}
+
+function localMinutes(timezone, at) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(at);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+// Milliseconds until quiet hours end, or 0 outside them. Windows may wrap midnight.
+function quietDelayMs(quietHours, at = new Date()) {
+  if (!quietHours) return 0;
+  const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+  const now = localMinutes(quietHours.timezone, at);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const inside = start <= end ? now >= start && now < end : now >= start || now < end;
+  return inside ? ((end - now + 1440) % 1440) * 60 * 1000 : 0;
+}
+
+function formatMessage(type, data) {
+  const game = data.awayTeam && data.homeTeam ? `${data.awayTeam} @ ${data.homeTeam}` : '';
+  switch (type) {
+    case 'pick':
+      return {
+        subject: `${data.sport} pick: ${data.bet} ${data.odds} (+${data.edge}% edge)`,
+        text: `${game}\n${data.bet} ${data.odds} at ${data.book}\nEdge ${data.edge}% · fair ${Math.round(data.fairProb * 1000) / 10}% · confidence ${data.confidence}`
+      };
+    case 'steam':
+      return {
+        subject: `${data.sport} ${data.reverseLineMovement ? 'reverse line move' : 'steam'}: ${data.side} (${data.market})`,
+        text: `${game}\n${data.books.length} books moved toward ${data.side}: ${data.books.map(b => `${b.title} ${b.from.price}→${b.to.price}`).join(', ')}`
+      };
+    case 'arb':
+      return {
+        subject: data.type === 'arbitrage'
+          ? `${data.sport} arb: ${data.profitPct}% on ${data.market}`
+          : `${data.sport} middle: ${data.width}-point window on ${data.market}`,
+        text: `${game}\n${data.legs.map(l => `${l.selection}${l.point != null ? ` ${l.point}` : ''} ${l.odds} at ${l.book} — stake ${l.stake}`).join('\n')}`
+      };
+    case 'bet_settled':
+      return {
+        subject: `Bet settled: ${data.selection} — ${data.outcome.toUpperCase()}`,
+        text: `${data.selection} ${data.americanOdds ?? ''} (${data.sport} ${data.market}) settled as ${data.outcome}` +
+          (data.settlement?.finalScore ? `\nFinal: ${Object.entries(data.settlement.finalScore).map(([t, s]) => `${t} ${s}`).join(', ')}` : '')
+      };
+    default:
+      return { subject: data.subject || 'EdgeBet notification', text: data.text || '' };
+  }
+}
+
+async function send(url, options) {
+  const res = await fetch(url, { ...options, signal: AbortSignal.timeout(SEND_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`${new URL(url).hostname} responded ${res.status}`);
+}
+
+// POST to a user-supplied URL: public addresses only and no redirects, which
+// could otherwise bounce the request into our network.
+function sendToPublicHost(url, { headers, body }) {
+  return new Promise((resolve, reject) => {
+    if (!isPublicWebhookUrl(url)) return reject(new Error('Webhook URL is not a public https URL'));
+    const { hostname } = new URL(url);
+    const req = https.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      timeout: SEND_TIMEOUT_MS
+    }, (res) => {
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+      else reject(new Error(`${hostname} responded ${res.statusCode}`));
+    });
+    req.on('timeout', () => req.destroy(new Error(`${hostname} timed out`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Generic webhooks carry `X-EdgeBet-Signature: t=<unix>,v1=<hex>` where v1 is
+// HMAC-SHA256(secret, `${t}.${body}`), so receivers can verify and reject replays.
+function signPayload(secret, body, t = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return `t=${t},v1=${v1}`;
+}
+
+function createNotifier({ redis, users, mailer, getFeatures, env = process.env }) {
+  const discordRoles = env.DISCORD_BOT_TOKEN && env.DISCORD_GUILD_ID && env.DISCORD_SHARP_ROLE_ID
+    ? { token: env.DISCORD_BOT_TOKEN, guildId: env.DISCORD_GUILD_ID, roleId: env.DISCORD_SHARP_ROLE_ID }
+    : null;
+
+  const senders = {
+    discord: ({ target, message }) => send(target.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content: `**${message.subject}**\n${message.text}`.slice(0, 2000) })
+    }),
+
+    email: ({ target, message }) => mailer.send({ to: target.email, subject: message.subject, text: message.text }),
+
+    webhook: ({ id, target, payload }) => {
+      const body = JSON.stringify({ id, ...payload });
+      return sendToPublicHost(target.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-EdgeBet-Event': payload.event,
+          'X-EdgeBet-Delivery': id,
+          'X-EdgeBet-Signature': signPayload(target.secret, body)
+        },
+        body
+      });
+    },
+
+    // PUT and DELETE on a member role are both idempotent, so retries are safe
+    discord_role: ({ target }) => {
+      if (!discordRoles) return;
+      const { token, guildId, roleId } = discordRoles;
+      return send(`${DISCORD_API}/guilds/${guildId}/members/${target.discordUserId}/roles/${roleId}`, {
+        method: target.action === 'grant' ? 'PUT' : 'DELETE',
+        headers: { Authorization: `Bot ${token}`, 'X-Audit-Log-Reason': `EdgeBet tier sync (${target.action})` }
+      });
+    }
+  };
+
+  async function enqueue(job, delayMs = 0) {
+    const id = crypto.randomUUID();
+    await redis.set(`notify:job:${id}`, JSON.stringify({ ...job, id, attempts: 0, createdAt: new Date().toISOString() }), { EX: JOB_TTL_SECONDS });
+    await redis.zAdd('notify:queue', { score: Date.now() + delayMs, value: id });
+    return id;
+  }
+
+  function targetFor(user, channel) {
+    const channels = user.notifications?.channels || {};
+    if (channel === 'discord') return channels.discord && { webhookUrl: channels.discord.webhookUrl };
+    if (channel === 'webhook') return channels.webhook && { url: channels.webhook.url, secret: channels.webhook.secret };
+    // Only mail addresses the user has proven they own
+    if (channel === 'email' && channels.email && user.email && (user.emailVerified || user.provider !== 'email')) {
+      return { email: user.email };
+    }
+    return null;
+  }
+
+  // Queues one event for one user per their subscription, tier and quiet hours.
+  async function notifyUser(user, type, data, { features } = {}) {
+    const settings = user.notifications;
+    const sub = settings?.subscriptions?.[type];
+    if (!sub) return 0;
+    if (type === 'pick' && !(Number(data.edge) >= (sub.minEdge || 0))) return 0;
+    if (EVENT_FEATURES[type]) {
+      const sports = (user.preferences?.sports || []).map(s => String(s).toUpperCase());
+      if (!shouldDeliver({ type, data }, { features: features || await getFeatures(user.id), sports })) return 0;
+    }
+
+    const delay = quietDelayMs(settings.quietHours);
+    if (delay && TIME_SENSITIVE.has(type)) return 0;
+
+    const message = formatMessage(type, data);
+    let queued = 0;
+    for (const channel of sub.channels) {
+      const target = targetFor(user, channel);
+      if (!target) continue;
+      await enqueue({ channel, userId: user.id, event: type, target, message, payload: { event: type, data } }, delay);
+      queued++;
+    }
+    return queued;
+  }
+
+  // Fans newly published market events out to every subscriber.
+  async function dispatch(type, items) {
+    if (!items.length) return 0;
+    let queued = 0;
+    for (const userId of await redis.sMembers(`notify:subs:${type}`)) {
+      try {
+        const user = await users.get(userId);
+        if (!user) {
+          await redis.sRem(`notify:subs:${type}`, userId);
+          continue;
+        }
+        const features = await getFeatures(user.id);
+        for (const item of items) queued += await notifyUser(user, type, item, { features });
+      } catch (e) {
+        console.error(`Notification dispatch failed for ${userId}:`, e.message);
+      }
+    }
+    return queued;
+  }
+
+  // Grants or revokes the SHARP Discord role to match the user's current tier.
+  // `previousDiscordUserId` loses the role when the user links a different account.
+  async function syncDiscordRole(user, { previousDiscordUserId } = {}) {
+    if (!discordRoles) return;
+    const discordUserId = user.notifications?.discordUserId;
+    if (previousDiscordUserId && previousDiscordUserId !== discordUserId) {
+      await enqueue({ channel: 'discord_role', userId: user.id, target: { discordUserId: previousDiscordUserId, action: 'revoke' } });
+    }
+    if (!discordUserId) return;
+    const features = await getFeatures(user.id);
+    const action = features.includes('discord_access') ? 'grant' : 'revoke';
+    await enqueue({ channel: 'discord_role', userId: user.id, target: { discordUserId, action } });
+  }
+
+  async function saveSettings(user, input) {
+    const previous = user.notifications || {};
+    const settings = validateSettings(input, previous);
+    const webhookUrl = settings.channels.webhook?.url;
+    if (webhookUrl && webhookUrl !== previous.channels?.webhook?.url) {
+      const resolves = await new Promise(resolve => {
+        publicLookup(new URL(webhookUrl).hostname, {}, (err) => resolve(!err));
+      });
+      if (!resolves) {
+        throw new NotificationError('Invalid notification settings', 400, {
+          errors: ['channels.webhook.url must resolve to a public address']
+        });
+      }
+    }
+
+    for (const event of EVENTS) {
+      if (settings.subscriptions[event]) await redis.sAdd(`notify:subs:${event}`, user.id);
+      else await redis.sRem(`notify:subs:${event}`, user.id);
+    }
+    user.notifications = settings;
+    await users.save(user);
+
+    if (settings.discordUserId !== (previous.discordUserId || null)) {
+      await syncDiscordRole(user, { previousDiscordUserId: previous.discordUserId });
+    }
+    return settings;
+  }
+
+  // Sends a test message down every configured channel, ignoring quiet hours.
+  async function sendTest(user) {
+    const message = { subject: 'EdgeBet test notification', text: 'Alerts for this channel are set up correctly.' };
+    const queued = [];
+    for (const channel of CHANNELS) {
+      const target = targetFor(user, channel);
+      if (!target) continue;
+      await enqueue({ channel, userId: user.id, event: 'test', target, message, payload: { event: 'test', data: message } });
+      queued.push(channel);
+    }
+    return queued;
+  }
+
+  // One delivery pass. Removing the id from the queue is the claim, so each job
+  // is attempted by exactly one instance.
+  async function processDue({ now = Date.now(), limit = 50 } = {}) {
+    const results = { sent: 0, retried: 0, dead: 0 };
+    const ids = await redis.zRangeByScore('notify:queue', '-inf', now, { LIMIT: { offset: 0, count: limit } });
+
+    for (const id of ids) {
+      if (!await redis.zRem('notify:queue', id)) continue;
+      const raw = await redis.get(`notify:job:${id}`);
+      if (!raw) continue;
+      const job = JSON.parse(raw);
+
+      try {
+        await senders[job.channel](job);
+        await redis.del(`notify:job:${id}`);
+        results.sent++;
+      } catch (e) {
+        job.attempts++;
+        job.lastError = e.message;
+        if (job.attempts >= MAX_ATTEMPTS) {
+          await redis.lPush('notify:dead', JSON.stringify({ ...job, failedAt: new Date(now).toISOString() }));
+          await redis.lTrim('notify:dead', 0, DEAD_LETTER_LIMIT - 1);
+          await redis.del(`notify:job:${id}`);
+          results.dead++;
+        } else {
+          // Exponential backoff with ±20% jitter: 30s, 1m, 2m, 4m, 8m
+          const delay = BACKOFF_BASE_MS * 2 ** (job.attempts - 1) * (0.8 + Math.random() * 0.4);
+          await redis.set(`notify:job:${id}`, JSON.stringify(job), { EX: JOB_TTL_SECONDS });
+          await redis.zAdd('notify:queue', { score: now + delay, value: id });
+          results.retried++;
+        }
+      }
+    }
+    return results;
+  }
+
+  return { enqueue, notifyUser, dispatch, syncDiscordRole, saveSettings, sendTest, processDue };
+}
+
+module.exports = {
+  EVENTS,
+  CHANNELS,
+  NotificationError,
+  validateSettings,
+  quietDelayMs,
+  formatMessage,
+  signPayload,
+  createNotifier
+};
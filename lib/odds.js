@@ -0,0 +1,311 @@
+// ── ODDS INGESTION & EV ENGINE ────────────────────────────────────────────────
+// Pulls lines through a pluggable provider, caches them in Redis, strips the vig
+// to build a consensus fair line per market and ranks +EV outcomes.
+
+const ev = require('./ev');
+const { createTheOddsApiProvider } = require('./providers/theOddsApi');
+const { createStubOddsProvider } = require('./providers/stubOdds');
+
+// Cache TTLs (seconds) bound how often each sport is pulled; slow-moving or
+// weekly slates are cached longer. Each pull costs markets × regions credits
+// (3 by default), so the TTLs alone can't hold a monthly plan: the odds service
+// also enforces a month-wide credit budget (ODDS_MONTHLY_CREDITS).
+const SPORTS = {
+  NBA: { key: 'basketball_nba', ttl: 2 * 3600 },
+  NFL: { key: 'americanfootball_nfl', ttl: 6 * 3600 },
+  NCAAF: { key: 'americanfootball_ncaaf', ttl: 6 * 3600 },
+  NHL: { key: 'icehockey_nhl', ttl: 3 * 3600 },
+  NCAAB: { key: 'basketball_ncaab', ttl: 3 * 3600 },
+  MLB: { key: 'baseball_mlb', ttl: 3 * 3600 }
+};
+// The last pull per sport is kept this long to serve once the budget is spent
+const LAST_PULL_TTL_SECONDS = 3 * 24 * 3600;
+
+const MARKET_LABELS = { h2h: 'moneyline', spreads: 'spread', totals: 'total' };
+const ODDS_MARKETS = Object.fromEntries(Object.entries(MARKET_LABELS).map(([k, v]) => [v, k]));
+
+function createOddsProvider(env = process.env) {
+  const name = (env.ODDS_PROVIDER || 'the-odds-api').toLowerCase();
+  if (name === 'stub') return createStubOddsProvider({ fixturePath: env.ODDS_FIXTURE_PATH || undefined });
+  return createTheOddsApiProvider({ apiKey: env.ODDS_API_KEY, regions: env.ODDS_REGIONS || 'us' });
+}
+
+function selectionLabel(marketKey, outcome) {
+  if (marketKey === 'h2h') return `${outcome.name} ML`;
+  if (outcome.point == null) return outcome.name;
+  const point = marketKey === 'spreads' && outcome.point > 0 ? `+${outcome.point}` : outcome.point;
+  return `${outcome.name} ${point}`;
+}
+
+// Loose match between a free-text selection ("Lakers", "Los Angeles Lakers -4.5")
+// and a feed's full team or outcome name.
+function matchesSelection(selection, name) {
+  const sel = String(selection || '').toLowerCase().trim()
+    .replace(/\s+(ml|[+-]?\d+(\.\d+)?)$/, '').trim();
+  const n = String(name || '').toLowerCase();
+  if (!sel || !n) return false;
+  return sel === n || (sel.length >= 3 && n.includes(sel));
+}
+
+// Books only agree on a market when they hang the same line, so spreads and
+// totals are grouped by their outcome names and points.
+function lineSignature(outcomes) {
+  return outcomes.map(o => `${o.name}|${o.point ?? ''}`).sort().join(';');
+}
+
+// Collapse every book's prices for one event into markets:
+// [{ market, outcomes: [{ name, point, fairProb, prices: [{ book, title, price }] }], books }]
+function buildMarkets(event) {
+  const groups = new Map();
+
+  for (const book of event.bookmakers || []) {
+    for (const market of book.markets || []) {
+      const prices = market.outcomes.map(o => o.price);
+      const noVig = ev.removeVig(prices);
+      if (!noVig) continue;
+
+      const sig = `${market.key}#${lineSignature(market.outcomes)}`;
+      if (!groups.has(sig)) groups.set(sig, { market: market.key, outcomes: new Map(), books: 0 });
+      const group = groups.get(sig);
+      group.books++;
+
+      market.outcomes.forEach((o, i) => {
+        const id = `${o.name}|${o.point ?? ''}`;
+        if (!group.outcomes.has(id)) group.outcomes.set(id, { name: o.name, point: o.point, fairSum: 0, prices: [] });
+        const entry = group.outcomes.get(id);
+        entry.fairSum += noVig.fair[i];
+        entry.prices.push({ book: book.key, title: book.title, price: o.price, lastUpdate: market.last_update || book.last_update });
+      });
+    }
+  }
+
+  return Array.from(groups.values()).map(g => ({
+    market: g.market,
+    books: g.books,
+    outcomes: Array.from(g.outcomes.values()).map(o => ({
+      name: o.name,
+      point: o.point,
+      fairProb: o.fairSum / g.books,
+      prices: o.prices.sort((a, b) => ev.americanToDecimal(b.price) - ev.americanToDecimal(a.price))
+    }))
+  }));
+}
+
+// Predicate for a user's sportsbook list (keys like "draftkings" or titles like
+// "DraftKings"); null when the list is empty so every book counts.
+function bookFilter(books) {
+  if (!Array.isArray(books) || !books.length) return null;
+  const norm = (b) => String(b).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const allowed = new Set(books.map(norm));
+  return (price) => allowed.has(norm(price.book)) || allowed.has(norm(price.title));
+}
+
+// Every book's price for an event, best to worst, against the no-vig consensus.
+// `deviation` is the EV of that price at the fair line; `centsOff` is its
+// distance from the fair price in American cents (positive = better than fair).
+function shopLines(event, { market, books } = {}) {
+  const allowed = bookFilter(books);
+  return buildMarkets(event)
+    .filter(m => !market || MARKET_LABELS[m.market] === market)
+    .map(m => ({
+      market: MARKET_LABELS[m.market] || m.market,
+      books: m.books,
+      outcomes: m.outcomes.map(o => {
+        const fairOdds = ev.decimalToAmerican(1 / o.fairProb);
+        const prices = (allowed ? o.prices.filter(allowed) : o.prices).map(p => ({
+          book: p.book,
+          title: p.title,
+          odds: ev.formatAmerican(p.price),
+          deviation: Math.round(ev.expectedValue(o.fairProb, p.price) * 100) / 100,
+          centsOff: ev.americanCents(p.price) - ev.americanCents(fairOdds),
+          lastUpdate: p.lastUpdate
+        }));
+        return {
+          selection: o.name,
+          point: o.point ?? null,
+          label: selectionLabel(m.market, o),
+          fairProb: Math.round(o.fairProb * 1000) / 1000,
+          fairOdds: ev.formatAmerican(fairOdds),
+          best: prices[0] || null,
+          prices
+        };
+      })
+    }));
+}
+
+// Finds a journal-style selection ({ market: 'spread', selection, point }) in an
+// event's consensus markets. Returns { outcome, books } or null.
+function findOutcome(event, { market, selection, point }) {
+  const marketKey = ODDS_MARKETS[market];
+  for (const m of buildMarkets(event)) {
+    if (m.market !== marketKey) continue;
+    for (const outcome of m.outcomes) {
+      if (!matchesSelection(selection, outcome.name)) continue;
+      if (marketKey !== 'h2h' && Number(outcome.point) !== Number(point)) continue;
+      return { outcome, books: m.books };
+    }
+  }
+  return null;
+}
+
+// Rank the best available price for every outcome against the consensus fair line.
+// With `books`, the fair line still uses every book but only those books are bet.
+// Games already under way are skipped: their prices are live lines, not pregame.
+function findValueBets(events, sport, { minEdge = 0, minBooks = 2, books, now = Date.now() } = {}) {
+  const picks = [];
+  const allowed = bookFilter(books);
+
+  for (const event of events) {
+    if (new Date(event.commence_time).getTime() <= now) continue;
+    for (const market of buildMarkets(event)) {
+      if (market.books < minBooks) continue;
+
+      for (const outcome of market.outcomes) {
+        const best = allowed ? outcome.prices.find(allowed) : outcome.prices[0];
+        if (!best) continue;
+        const edge = ev.expectedValue(outcome.fairProb, best.price);
+        if (edge == null || edge <= minEdge) continue;
+
+        const impliedProb = ev.impliedProbability(best.price);
+        picks.push({
+          id: `${event.id}:${market.market}:${outcome.name}:${outcome.point ?? ''}`,
+          eventId: event.id,
+          sport,
+          bet: selectionLabel(market.market, outcome),
+          market: MARKET_LABELS[market.market] || market.market,
+          selection: outcome.name,
+          point: outcome.point ?? null,
+          odds: ev.formatAmerican(best.price),
+          book: best.title,
+          bookKey: best.book,
+          bestAvailable: { book: outcome.prices[0].title, odds: ev.formatAmerican(outcome.prices[0].price) },
+          edge: Math.round(edge * 10) / 10,
+          confidence: ev.confidenceScore(edge, market.books),
+          fairProb: Math.round(outcome.fairProb * 1000) / 1000,
+          impliedProb: Math.round(impliedProb * 1000) / 1000,
+          books: market.books,
+          homeTeam: event.home_team,
+          awayTeam: event.away_team,
+          commenceTime: event.commence_time
+        });
+      }
+    }
+  }
+
+  return picks.sort((a, b) => b.edge - a.edge || b.confidence - a.confidence);
+}
+
+// Provider credits are paced across the month: by day d of an n-day month at
+// most d/n of `monthlyCredits` may be spent, so a busy week can't drain it.
+// Odds and scores pulls draw from the same budget.
+// Key schema:
+//   odds:credits:{YYYY-MM}       →  provider credits spent this month (UTC)
+function createCreditBudget({ redis, monthlyCredits = 0 }) {
+  // Claims `cost` credits from this month's paced allowance; false when over it.
+  // A Redis outage lets the pull through, like the odds cache fallback.
+  async function reserve(cost, now = new Date()) {
+    if (!cost || !monthlyCredits) return true;
+    try {
+      const key = `odds:credits:${now.toISOString().slice(0, 7)}`;
+      const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+      const allowed = Math.floor(monthlyCredits * now.getUTCDate() / daysInMonth);
+      const spent = await redis.incrBy(key, cost);
+      if (spent === cost) await redis.expire(key, 35 * 24 * 3600);
+      if (spent <= allowed) return true;
+      await redis.decrBy(key, cost);
+      return false;
+    } catch (e) {
+      console.error('Odds credit budget check failed:', e.message);
+      return true;
+    }
+  }
+
+  return { reserve };
+}
+
+// `onFetch(sport, events)` runs after every provider pull (not cache hits), e.g.
+// to snapshot lines for steam detection. Its failures never fail the read.
+// Pulls are refused once `budget` (see createCreditBudget) is spent.
+// Key schema:
+//   odds:{sportKey}              →  cached events (the sport's TTL)
+//   odds:{sportKey}:last         →  the last pull, served when the budget is spent
+function createOddsService({ redis, provider, onFetch, budget }) {
+  const cacheKey = (sportKey) => `odds:${sportKey}`;
+  const lastKey = (sportKey) => `odds:${sportKey}:last`;
+
+  // Read-through cache. A Redis outage falls back to the provider rather than
+  // failing the scan. `fresh` skips the read (closing lines) but still refills it.
+  async function getEvents(sport, { fresh = false } = {}) {
+    const config = SPORTS[sport];
+    if (!config) throw new Error(`Unsupported sport: ${sport}`);
+
+    if (!fresh) {
+      try {
+        const cached = await redis.get(cacheKey(config.key));
+        if (cached) return JSON.parse(cached);
+      } catch (e) {
+        console.error('Odds cache read failed:', e.message);
+      }
+    }
+
+    if (budget && !await budget.reserve(provider.creditsPerCall || 0)) {
+      // Closing-line reads need current prices, so they get no stale fallback
+      const last = fresh ? null : await redis.get(lastKey(config.key)).catch(() => null);
+      if (last) return JSON.parse(last);
+      throw new Error('Odds credit budget for this month is spent');
+    }
+
+    const events = await provider.fetchOdds(config.key);
+
+    if (onFetch) {
+      try {
+        await onFetch(sport, events);
+      } catch (e) {
+        console.error('Odds onFetch hook failed:', e.message);
+      }
+    }
+
+    try {
+      await redis.set(cacheKey(config.key), JSON.stringify(events), { EX: config.ttl });
+      await redis.set(lastKey(config.key), JSON.stringify(events), { EX: LAST_PULL_TTL_SECONDS });
+    } catch (e) {
+      console.error('Odds cache write failed:', e.message);
+    }
+
+    return events;
+  }
+
+  async function scan({ sports = Object.keys(SPORTS), minEdge = 0, books } = {}) {
+    const picks = [];
+    const errors = [];
+
+    for (const sport of sports) {
+      try {
+        picks.push(...findValueBets(await getEvents(sport), sport, { minEdge, books }));
+      } catch (e) {
+        console.error(`Odds scan failed for ${sport}:`, e.message);
+        errors.push({ sport, error: e.message });
+      }
+    }
+
+    picks.sort((a, b) => b.edge - a.edge || b.confidence - a.confidence);
+    return { picks, errors };
+  }
+
+  return { provider: provider.name, getEvents, scan };
+}
+
+module.exports = {
+  SPORTS,
+  MARKET_LABELS,
+  ODDS_MARKETS,
+  matchesSelection,
+  findOutcome,
+  bookFilter,
+  shopLines,
+  createOddsProvider,
+  createCreditBudget,
+  createOddsService,
+  buildMarkets,
+  findValueBets
+};
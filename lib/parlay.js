@@ -0,0 +1,126 @@
+// ── PARLAY PRICING ────────────────────────────────────────────────────────────
+// Combines legs into parlay odds, fair probability, EV and Kelly stake, and
+// screens for legs that are not independent (same game or same team).
+
+const ev = require('./ev');
+const { matchesSelection } = require('./odds');
+
+const MAX_LEGS = 12;
+const round = (n, dp = 2) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+class ParlayError extends Error {
+  constructor(message, extra = {}) {
+    super(message);
+    Object.assign(this, extra);
+  }
+}
+
+// Resolves a leg's decimal price and fair win probability. Fair probability
+// comes from, in order: an explicit fairProb, de-vigging against the opposite
+// side's price, or the raw implied probability (vig included, so EV reads low).
+function priceLeg(leg, index) {
+  const american = leg.americanOdds ?? leg.odds;
+  const decimal = Number(leg.decimalOdds) > 1
+    ? Number(leg.decimalOdds)
+    : ev.americanToDecimal(String(american ?? '').replace(/^\+/, ''));
+  if (!decimal) throw new ParlayError(`Leg ${index + 1}: odds required (americanOdds or decimalOdds)`);
+
+  let fairProb = Number(leg.fairProb);
+  let fairSource = 'provided';
+  if (!(fairProb > 0 && fairProb < 1)) {
+    const opposite = ev.americanToDecimal(String(leg.oppositeOdds ?? '').replace(/^\+/, ''));
+    if (opposite) {
+      const p = 1 / decimal, q = 1 / opposite;
+      fairProb = p / (p + q);
+      fairSource = 'devig';
+    } else {
+      fairProb = 1 / decimal;
+      fairSource = 'implied';
+    }
+  }
+
+  return { ...leg, decimal, fairProb, fairSource, result: leg.result || 'pending' };
+}
+
+// Same event + same market is contradictory or a duplicate and is rejected.
+// Same event across markets (or the same team without an eventId) is flagged:
+// books price those legs as independent when they are not.
+function findCorrelations(legs) {
+  const correlations = [];
+  for (let i = 0; i < legs.length; i++) {
+    for (let j = i + 1; j < legs.length; j++) {
+      const a = legs[i], b = legs[j];
+      const sameEvent = a.eventId && b.eventId && a.eventId === b.eventId;
+      if (sameEvent && a.market === b.market) {
+        throw new ParlayError(`Legs ${i + 1} and ${j + 1} are the same market in the same game`, { legs: [i, j] });
+      }
+      const sameTeam = !a.eventId && !b.eventId && a.sport === b.sport && a.selection && b.selection &&
+        (matchesSelection(a.selection, b.selection) || matchesSelection(b.selection, a.selection));
+      if (sameEvent || sameTeam) {
+        correlations.push({ legs: [i, j], type: sameEvent ? 'same_game' : 'same_team' });
+      }
+    }
+  }
+  return correlations;
+}
+
+function priceParlay(inputLegs, { bankroll, kellyFraction = 0.25, rejectCorrelated = false } = {}) {
+  if (!Array.isArray(inputLegs) || inputLegs.length < 2) throw new ParlayError('A parlay needs at least 2 legs');
+  if (inputLegs.length > MAX_LEGS) throw new ParlayError(`A parlay can have at most ${MAX_LEGS} legs`);
+
+  const legs = inputLegs.map(priceLeg);
+  const correlations = findCorrelations(legs);
+  if (rejectCorrelated && correlations.length) {
+    throw new ParlayError('Parlay contains correlated legs', { correlations });
+  }
+
+  // A pushed leg drops out and the parlay is re-priced on the remaining legs
+  const pushed = legs.filter(l => l.result === 'push').length;
+  const live = legs.filter(l => l.result !== 'push');
+  const lost = live.some(l => l.result === 'loss');
+
+  const decimal = live.reduce((d, l) => d * l.decimal, 1);
+  const fairProb = live.reduce((p, l) => p * l.fairProb, 1);
+  const impliedProb = 1 / decimal;
+  const b = decimal - 1;
+  const kelly = b > 0 ? Math.max(0, (b * fairProb - (1 - fairProb)) / b) : 0;
+
+  let status = 'pending';
+  if (lost) status = 'loss';
+  else if (!live.length) status = 'push';
+  else if (live.every(l => l.result === 'win')) status = 'win';
+
+  return {
+    legs: legs.map(l => ({
+      selection: l.selection,
+      eventId: l.eventId,
+      market: l.market,
+      decimalOdds: round(l.decimal, 3),
+      americanOdds: ev.decimalToAmerican(l.decimal),
+      fairProb: round(l.fairProb, 4),
+      fairSource: l.fairSource,
+      result: l.result
+    })),
+    legCount: legs.length,
+    pushedLegs: pushed,
+    status,
+    decimalOdds: live.length ? round(decimal, 3) : 1,
+    americanOdds: live.length ? ev.decimalToAmerican(decimal) : null,
+    impliedProb: round(impliedProb, 4),
+    fairProb: round(fairProb, 4),
+    ev: round((fairProb * decimal - 1) * 100),
+    kelly: {
+      full: round(kelly * 100, 2),
+      fraction: kellyFraction,
+      recommendedPct: round(kelly * kellyFraction * 100, 2),
+      recommendedStake: Number(bankroll) > 0 ? round(Number(bankroll) * kelly * kellyFraction) : null
+    },
+    correlations,
+    warnings: [
+      ...(correlations.length ? ['Correlated legs: fair probability assumes the legs are independent and may be off'] : []),
+      ...(legs.some(l => l.fairSource === 'implied') ? ['Some legs have no fair price; their vig is included in the fair probability'] : [])
+    ]
+  };
+}
+
+module.exports = { ParlayError, priceParlay };
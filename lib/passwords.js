@@ -0,0 +1,60 @@
+// ── PASSWORDS ─────────────────────────────────────────────────────────────────
+// scrypt hashes stored as "scrypt$N$r$p$salt$hash" so cost can be raised later
+// without breaking existing records.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_LENGTH = 10;
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', '1234567890', '123456789', 'qwertyuiop',
+  'iloveyou', 'letmein123', 'sportsbook', 'edgebet123', 'algobets123'
+]);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, COST);
+  return ['scrypt', COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Hash of a random password, compared against when the account does not exist
+// so login timing does not reveal which emails are registered.
+let dummyHash;
+async function burnVerify(password) {
+  dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+  await verifyPassword(password, dummyHash);
+  return false;
+}
+
+// Returns a list of problems; empty means the password is acceptable.
+function checkPasswordStrength(password, { email } = {}) {
+  const problems = [];
+  const pw = String(password || '');
+
+  if (pw.length < MIN_LENGTH) problems.push(`Must be at least ${MIN_LENGTH} characters`);
+  if (pw.length > 256) problems.push('Must be at most 256 characters');
+  if (!/[a-zA-Z]/.test(pw) || !/[0-9]/.test(pw)) problems.push('Must contain both letters and numbers');
+  if (COMMON_PASSWORDS.has(pw.toLowerCase())) problems.push('Too common');
+  const local = email ? String(email).split('@')[0].toLowerCase() : '';
+  if (local.length >= 4 && pw.toLowerCase().includes(local)) problems.push('Must not contain your email name');
+
+  return problems;
+}
+
+module.exports = { hashPassword, verifyPassword, burnVerify, checkPasswordStrength };
@@ -0,0 +1,152 @@
+// ── PROMO CODES ───────────────────────────────────────────────────────────────
+// Admin-issued discount codes accepted by /stripe/checkout. Each code is backed
+// by a Stripe coupon created with the same expiry and redemption cap, so Stripe
+// enforces the limits too if concurrent checkouts race past the check here.
+// A redemption is counted when the checkout completes, once per user.
+// Key schema:
+//   promo:{CODE}               →  JSON promo
+//   promo:{CODE}:redeemed      →  set of user ids that redeemed it
+//   promos:all                 →  set of every code
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const DURATIONS = ['once', 'repeating', 'forever'];
+
+class PromoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// "20% off for 3 months", "$10.00 off once"
+function describeDiscount(promo) {
+  const amount = promo.percentOff != null
+    ? `${promo.percentOff}% off`
+    : `${(promo.amountOff / 100).toFixed(2)} ${promo.currency.toUpperCase()} off`;
+  if (promo.duration === 'repeating') return `${amount} for ${promo.durationInMonths} months`;
+  return `${amount} ${promo.duration === 'forever' ? 'every invoice' : 'the first invoice'}`;
+}
+
+function createPromoStore({ redis, stripe, tiers }) {
+  const promoKey = (code) => `promo:${code}`;
+  const redeemedKey = (code) => `promo:${code}:redeemed`;
+
+  async function get(code) {
+    const raw = await redis.get(promoKey(normalizeCode(code)));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async function withRedemptions(promo) {
+    return { ...promo, redemptions: await redis.sCard(redeemedKey(promo.code)), description: describeDiscount(promo) };
+  }
+
+  // { code, percentOff | amountOff (cents) + currency, duration, durationInMonths?,
+  //   expiresAt?, maxRedemptions?, tiers? }
+  async function create(input = {}, createdBy) {
+    const code = normalizeCode(input.code);
+    if (!CODE_PATTERN.test(code)) throw new PromoError('code must be 3-32 letters, digits, - or _');
+
+    const percentOff = input.percentOff != null ? Number(input.percentOff) : null;
+    const amountOff = input.amountOff != null ? Number(input.amountOff) : null;
+    if ((percentOff == null) === (amountOff == null)) throw new PromoError('Give exactly one of percentOff or amountOff');
+    if (percentOff != null && !(percentOff > 0 && percentOff <= 100)) throw new PromoError('percentOff must be between 0 and 100');
+    if (amountOff != null && !(Number.isInteger(amountOff) && amountOff > 0)) throw new PromoError('amountOff must be a positive number of cents');
+
+    const duration = input.duration || 'once';
+    if (!DURATIONS.includes(duration)) throw new PromoError(`duration must be one of: ${DURATIONS.join(', ')}`);
+    const durationInMonths = duration === 'repeating' ? Number(input.durationInMonths) : null;
+    if (duration === 'repeating' && !(Number.isInteger(durationInMonths) && durationInMonths > 0)) {
+      throw new PromoError('durationInMonths required for repeating discounts');
+    }
+
+    const expiresAt = input.expiresAt ? new Date(input.expiresAt) : null;
+    if (expiresAt && !(expiresAt.getTime() > Date.now())) throw new PromoError('expiresAt must be in the future');
+    const maxRedemptions = input.maxRedemptions != null ? Number(input.maxRedemptions) : null;
+    if (maxRedemptions != null && !(Number.isInteger(maxRedemptions) && maxRedemptions > 0)) {
+      throw new PromoError('maxRedemptions must be a positive whole number');
+    }
+    const promoTiers = input.tiers ? [].concat(input.tiers).map(t => String(t).toUpperCase()) : null;
+    if (promoTiers && promoTiers.some(t => !tiers[t] || t === 'FREE')) throw new PromoError('tiers must name paid tiers');
+
+    if (await redis.exists(promoKey(code))) throw new PromoError('A promo with that code already exists', 409);
+
+    const coupon = await stripe.coupons.create({
+      name: code,
+      ...(percentOff != null ? { percent_off: percentOff } : { amount_off: amountOff, currency: String(input.currency || 'usd').toLowerCase() }),
+      duration,
+      ...(durationInMonths ? { duration_in_months: durationInMonths } : {}),
+      ...(expiresAt ? { redeem_by: Math.floor(expiresAt.getTime() / 1000) } : {}),
+      ...(maxRedemptions ? { max_redemptions: maxRedemptions } : {}),
+      metadata: { promoCode: code }
+    }, { idempotencyKey: `promo-coupon-${code}` });
+
+    const promo = {
+      code,
+      stripeCouponId: coupon.id,
+      percentOff,
+      amountOff,
+      currency: amountOff != null ? String(input.currency || 'usd').toLowerCase() : null,
+      duration,
+      durationInMonths,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      maxRedemptions,
+      tiers: promoTiers,
+      active: true,
+      createdBy,
+      createdAt: new Date().toISOString()
+    };
+    if (!await redis.set(promoKey(code), JSON.stringify(promo), { NX: true })) {
+      throw new PromoError('A promo with that code already exists', 409);
+    }
+    await redis.sAdd('promos:all', code);
+    return withRedemptions(promo);
+  }
+
+  async function list() {
+    const codes = (await redis.sMembers('promos:all')).sort();
+    const promos = [];
+    for (const code of codes) {
+      const promo = await get(code);
+      if (promo) promos.push(await withRedemptions(promo));
+    }
+    return promos;
+  }
+
+  // Stops new checkouts using the code; discounts already applied keep running.
+  async function deactivate(code) {
+    const promo = await get(code);
+    if (!promo) throw new PromoError('Promo not found', 404);
+    promo.active = false;
+    promo.deactivatedAt = new Date().toISOString();
+    await redis.set(promoKey(promo.code), JSON.stringify(promo));
+    return withRedemptions(promo);
+  }
+
+  // The promo if `user` may use it on `tier` now; throws a PromoError otherwise.
+  async function validate(code, { user, tier }) {
+    const promo = await get(code);
+    if (!promo || !promo.active) throw new PromoError('Promo code not found', 404);
+    if (promo.expiresAt && new Date(promo.expiresAt).getTime() <= Date.now()) throw new PromoError('Promo code has expired', 410);
+    if (promo.tiers && tier && !promo.tiers.includes(tier)) {
+      throw new PromoError(`Promo code only applies to ${promo.tiers.join(', ')}`, 422);
+    }
+    const [used, redemptions] = await Promise.all([
+      redis.sIsMember(redeemedKey(promo.code), user.id),
+      redis.sCard(redeemedKey(promo.code))
+    ]);
+    if (used) throw new PromoError('You have already used this promo code', 409);
+    if (promo.maxRedemptions && redemptions >= promo.maxRedemptions) throw new PromoError('Promo code is fully redeemed', 410);
+    return { ...promo, description: describeDiscount(promo) };
+  }
+
+  // Counts a completed checkout; repeated webhooks for the same user count once.
+  async function recordRedemption(code, userId) {
+    return (await redis.sAdd(redeemedKey(normalizeCode(code)), userId)) === 1;
+  }
+
+  return { get, create, list, deactivate, validate, recordRedemption };
+}
+
+module.exports = { PromoError, normalizeCode, describeDiscount, createPromoStore };
@@ -0,0 +1,49 @@
+// Open-Meteo forecast adapter — https://open-meteo.com (no API key; hourly
+// forecasts up to 16 days out).
+
+const BASE_URL = 'https://api.open-meteo.com/v1/forecast';
+
+const HOURLY = ['temperature_2m', 'precipitation_probability', 'precipitation', 'wind_speed_10m', 'wind_direction_10m', 'wind_gusts_10m'];
+
+function createOpenMeteoProvider() {
+  return {
+    name: 'open-meteo',
+
+    // Conditions for the hour containing `at`, or null when out of forecast range.
+    async fetchForecast({ lat, lon, at }) {
+      const hour = new Date(at).toISOString().slice(0, 13) + ':00';
+      const params = new URLSearchParams({
+        latitude: String(lat),
+        longitude: String(lon),
+        hourly: HOURLY.join(','),
+        temperature_unit: 'fahrenheit',
+        wind_speed_unit: 'mph',
+        precipitation_unit: 'inch',
+        timezone: 'GMT',
+        start_hour: hour,
+        end_hour: hour
+      });
+      const res = await fetch(`${BASE_URL}?${params.toString()}`);
+
+      if (!res.ok) {
+        const body = await res.text();
+        // Requests past the forecast horizon are rejected as out of range
+        if (res.status === 400 && /range/i.test(body)) return null;
+        throw new Error(`Open-Meteo ${res.status}: ${body.slice(0, 200)}`);
+      }
+
+      const { hourly } = await res.json();
+      if (!hourly?.time?.length) return null;
+      return {
+        temperatureF: hourly.temperature_2m[0],
+        windMph: hourly.wind_speed_10m[0],
+        windGustMph: hourly.wind_gusts_10m[0],
+        windFromDeg: hourly.wind_direction_10m[0],
+        precipProbability: hourly.precipitation_probability[0],
+        precipIn: hourly.precipitation[0]
+      };
+    }
+  };
+}
+
+module.exports = { createOpenMeteoProvider };
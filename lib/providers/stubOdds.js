@@ -0,0 +1,22 @@
+// Offline odds and scores provider. Serves events from local JSON fixtures in
+// the same shape The Odds API returns, keyed by sport key.
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', '..', 'fixtures');
+
+async function readFixture(file, sportKey) {
+  const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  return data[sportKey] || [];
+}
+
+function createStubOddsProvider({ fixturePath = path.join(FIXTURES, 'odds.json'), scoresFixturePath = path.join(FIXTURES, 'scores.json') } = {}) {
+  return {
+    name: 'stub',
+    fetchOdds: (sportKey) => readFixture(fixturePath, sportKey),
+    fetchScores: (sportKey) => readFixture(scoresFixturePath, sportKey)
+  };
+}
+
+module.exports = { createStubOddsProvider };
@@ -0,0 +1,20 @@
+// Offline weather provider. Serves conditions from a local JSON fixture keyed
+// by venue name, falling back to its "default" entry.
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', '..', 'fixtures');
+
+function createStubWeatherProvider({ fixturePath = path.join(FIXTURES, 'weather.json') } = {}) {
+  return {
+    name: 'stub',
+
+    async fetchForecast({ venue }) {
+      const data = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+      return data[venue] || data.default || null;
+    }
+  };
+}
+
+module.exports = { createStubWeatherProvider };
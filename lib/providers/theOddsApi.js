@@ -0,0 +1,51 @@
+// The Odds API (v4) adapter for odds and scores — https://the-odds-api.com
+// Every odds call costs quota (markets × regions, as `creditsPerCall`) and every
+// scores call 2 (`scoresCreditsPerCall`), so callers are expected to cache.
+
+const BASE_URL = 'https://api.the-odds-api.com/v4';
+
+function createTheOddsApiProvider({ apiKey, regions = 'us', markets = 'h2h,spreads,totals' } = {}) {
+  return {
+    name: 'the-odds-api',
+    creditsPerCall: markets.split(',').length * regions.split(',').length,
+    scoresCreditsPerCall: 2,
+
+    async fetchOdds(sportKey) {
+      if (!apiKey) throw new Error('ODDS_API_KEY not configured');
+
+      const params = new URLSearchParams({
+        apiKey,
+        regions,
+        markets,
+        oddsFormat: 'american',
+        dateFormat: 'iso'
+      });
+      const res = await fetch(`${BASE_URL}/sports/${sportKey}/odds?${params.toString()}`);
+
+      if (!res.ok) {
+        const body = await res.text();
+        throw new Error(`Odds API ${res.status}: ${body.slice(0, 200)}`);
+      }
+
+      return res.json();
+    },
+
+    // Completed and in-progress games from the last `daysFrom` days (max 3).
+    // Costs 2 quota units per call.
+    async fetchScores(sportKey, { daysFrom = 3 } = {}) {
+      if (!apiKey) throw new Error('ODDS_API_KEY not configured');
+
+      const params = new URLSearchParams({ apiKey, daysFrom: String(daysFrom), dateFormat: 'iso' });
+      const res = await fetch(`${BASE_URL}/sports/${sportKey}/scores?${params.toString()}`);
+
+      if (!res.ok) {
+        const body = await res.text();
+        throw new Error(`Odds API ${res.status}: ${body.slice(0, 200)}`);
+      }
+
+      return res.json();
+    }
+  };
+}
+
+module.exports = { createTheOddsApiProvider };
@@ -0,0 +1,71 @@
+// ── REAL-TIME EVENTS ──────────────────────────────────────────────────────────
+// Redis pub/sub fan-out so every instance can push picks, steam and arb alerts
+// to its own Server-Sent Events clients.
+// Key schema:
+//   edgebet:events              →  pub/sub channel, messages { type, data, at }
+//   stream:seen:{type}:{id}     →  marks an item as already published
+
+const CHANNEL = 'edgebet:events';
+const SEEN_TTL_SECONDS = 6 * 3600;
+
+// Which tier feature a subscriber needs to receive each event type.
+const EVENT_FEATURES = {
+  pick: 'all_picks',
+  steam: 'steam_moves',
+  arb: 'arb_alerts'
+};
+
+function createEventBus({ redis }) {
+  const handlers = new Set();
+  let subscriber = null;
+
+  async function start() {
+    if (subscriber) return;
+    subscriber = redis.duplicate();
+    subscriber.on('error', (e) => console.error('Event bus subscriber error:', e.message));
+    await subscriber.connect();
+    await subscriber.subscribe(CHANNEL, (message) => {
+      let event;
+      try {
+        event = JSON.parse(message);
+      } catch (e) {
+        return;
+      }
+      for (const handler of handlers) handler(event);
+    });
+  }
+
+  async function publish(type, data) {
+    await redis.publish(CHANNEL, JSON.stringify({ type, data, at: new Date().toISOString() }));
+  }
+
+  // Publishes only items not seen in the last few hours, keyed by `id`, and
+  // returns the ones published. Exactly one instance publishes each item.
+  async function publishNew(type, items) {
+    const published = [];
+    for (const item of items) {
+      if (!await redis.set(`stream:seen:${type}:${item.id}`, '1', { NX: true, EX: SEEN_TTL_SECONDS })) continue;
+      await publish(type, item);
+      published.push(item);
+    }
+    return published;
+  }
+
+  function onEvent(handler) {
+    handlers.add(handler);
+    return () => handlers.delete(handler);
+  }
+
+  return { start, publish, publishNew, onEvent };
+}
+
+// A subscriber sees an event if their tier has the matching feature and, when
+// they picked sports during onboarding, the event is for one of those sports.
+function shouldDeliver(event, { features, sports }) {
+  const feature = EVENT_FEATURES[event.type];
+  if (feature && !features.includes(feature)) return false;
+  if (sports && sports.length && event.data?.sport && !sports.includes(event.data.sport)) return false;
+  return true;
+}
+
+module.exports = { EVENT_FEATURES, createEventBus, shouldDeliver };
@@ -0,0 +1,185 @@
+// ── REFERRALS ─────────────────────────────────────────────────────────────────
+// Every user gets a referral code. A new account created with a code is
+// attributed to its owner once; when that account pays its first non-zero
+// invoice both sides are rewarded. Rewards are a Stripe coupon
+// (REFERRAL_REWARD=coupon with REFERRAL_COUPON_ID) or free days (the default,
+// REFERRAL_REWARD_DAYS): subscribers have their next charge pushed back, others
+// get the REFERRAL_REWARD_TIER as a time-limited entitlement override. A coupon
+// never replaces another discount; those users get the free days instead.
+// Each reward is claimed before it is paid, so repeated or concurrent webhooks
+// pay it once; a failed payout releases its claim for Stripe's retry.
+// Key schema:
+//   referral:code:{CODE}               →  owner's user id
+//   referral:referee:{userId}          →  JSON attribution { referrerId, code, attributedAt }
+//   referral:list:{referrerId}         →  sorted set of referee ids by attribution time (ms)
+//   referral:reward:{refereeId}:{role} →  'processing' while paid (5 min), then JSON reward
+
+const crypto = require('crypto');
+const { ENTITLED_STATUSES } = require('./billing');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const PROCESSING_TTL_SECONDS = 5 * 60;
+const ROLES = ['referrer', 'referee'];
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+function createReferralProgram({ redis, stripe, users, entitlements, env = process.env, onReward = async () => {} }) {
+  const mode = (env.REFERRAL_REWARD || 'days').toLowerCase();
+  const couponId = env.REFERRAL_COUPON_ID || null;
+  const rewardDays = Number(env.REFERRAL_REWARD_DAYS) || 30;
+  const rewardTier = (env.REFERRAL_REWARD_TIER || 'PRO').toUpperCase();
+  if (mode === 'coupon' && !couponId) throw new Error('REFERRAL_REWARD=coupon needs REFERRAL_COUPON_ID');
+
+  const codeKey = (code) => `referral:code:${String(code).trim().toUpperCase()}`;
+  const refereeKey = (userId) => `referral:referee:${userId}`;
+  const rewardKey = (refereeId, role) => `referral:reward:${refereeId}:${role}`;
+
+  // The user's code, created (and saved on the record) on first use.
+  async function ensureCode(user) {
+    if (user.referralCode) return user.referralCode;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = generateCode();
+      if (await redis.set(codeKey(code), user.id, { NX: true })) {
+        user.referralCode = code;
+        await users.save(user);
+        return code;
+      }
+    }
+    throw new Error('Could not allocate a referral code');
+  }
+
+  // Links a newly created account to the code's owner. Unknown codes, self
+  // referrals and already-attributed accounts are ignored; returns the attribution.
+  async function attribute(user, code) {
+    if (!code) return null;
+    const referrerId = await redis.get(codeKey(code));
+    if (!referrerId || referrerId === user.id) return null;
+
+    const attribution = { referrerId, code: String(code).trim().toUpperCase(), attributedAt: new Date().toISOString() };
+    if (!await redis.set(refereeKey(user.id), JSON.stringify(attribution), { NX: true })) return null;
+    await redis.zAdd(`referral:list:${referrerId}`, { score: Date.now(), value: user.id });
+    user.referredBy = referrerId;
+    await users.save(user);
+    return attribution;
+  }
+
+  // Free days for a subscriber move the next charge back by making the gap a
+  // trial; anyone else gets the reward tier as an override.
+  async function grantDays(user, idempotencyKey) {
+    if (user.subscriptionId && ENTITLED_STATUSES.includes(user.subscriptionStatus)) {
+      const subscription = await stripe.subscriptions.retrieve(user.subscriptionId);
+      const from = Math.max(subscription.trial_end || 0, subscription.current_period_end);
+      await stripe.subscriptions.update(subscription.id, {
+        trial_end: from + rewardDays * 24 * 3600,
+        proration_behavior: 'none'
+      }, { idempotencyKey });
+      return { type: 'free_days', days: rewardDays, via: 'subscription' };
+    }
+
+    const now = Date.now();
+    const current = entitlements.resolve(user).override;
+    if (current) {
+      user.entitlementOverride = {
+        ...current,
+        expiresAt: new Date(new Date(current.expiresAt).getTime() + rewardDays * 24 * 3600 * 1000).toISOString()
+      };
+    } else {
+      user.entitlementOverride = entitlements.buildOverride({ tier: rewardTier, days: rewardDays, reason: 'Referral reward' }, 'referral', now);
+    }
+    await users.save(user);
+    return { type: 'free_days', days: rewardDays, via: 'override', tier: user.entitlementOverride.tier };
+  }
+
+  // Stripe holds one discount at a time, so a subscription or customer already
+  // discounted by another coupon gets free days instead of losing that discount.
+  // The referral coupon itself is simply applied again.
+  const otherDiscount = (holder) => {
+    const coupon = holder.discount?.coupon;
+    return !!coupon && (coupon.id || coupon) !== couponId;
+  };
+
+  async function grantCoupon(user, idempotencyKey) {
+    if (user.subscriptionId && ENTITLED_STATUSES.includes(user.subscriptionStatus)) {
+      const subscription = await stripe.subscriptions.retrieve(user.subscriptionId);
+      if (otherDiscount(subscription)) return grantDays(user, `${idempotencyKey}-days`);
+      await stripe.subscriptions.update(user.subscriptionId, { coupon: couponId }, { idempotencyKey });
+      return { type: 'coupon', couponId, via: 'subscription' };
+    }
+    if (!user.stripeCustomerId) throw new Error(`User ${user.id} has no Stripe customer for a referral coupon`);
+    const customer = await stripe.customers.retrieve(user.stripeCustomerId);
+    if (otherDiscount(customer)) return grantDays(user, `${idempotencyKey}-days`);
+    // A customer-level coupon applies to their next subscription
+    await stripe.customers.update(user.stripeCustomerId, { coupon: couponId }, { idempotencyKey });
+    return { type: 'coupon', couponId, via: 'customer' };
+  }
+
+  async function payReward(user, refereeId, role) {
+    const key = rewardKey(refereeId, role);
+    if (!await redis.set(key, 'processing', { NX: true, EX: PROCESSING_TTL_SECONDS })) return null;
+    try {
+      const idempotencyKey = `referral-${refereeId}-${role}`;
+      const reward = mode === 'coupon' ? await grantCoupon(user, idempotencyKey) : await grantDays(user, idempotencyKey);
+      const record = { ...reward, userId: user.id, role, refereeId, paidAt: new Date().toISOString() };
+      await redis.set(key, JSON.stringify(record));
+      // The reward is paid; a failed notice must not release the claim
+      await onReward(user, record).catch(e => console.error('Referral reward notice failed:', e.message));
+      return record;
+    } catch (e) {
+      await redis.del(key);
+      throw e;
+    }
+  }
+
+  // Called for each paid invoice; rewards both parties on the referee's first
+  // non-zero payment. Trials and fully discounted invoices don't count.
+  async function handlePaidInvoice(referee, invoice) {
+    if (!(invoice.amount_paid > 0)) return [];
+    const raw = await redis.get(refereeKey(referee.id));
+    if (!raw) return [];
+    const { referrerId } = JSON.parse(raw);
+
+    const paid = [];
+    for (const role of ROLES) {
+      const user = role === 'referee' ? await users.get(referee.id) : await users.get(referrerId);
+      if (!user) continue;
+      const reward = await payReward(user, referee.id, role);
+      if (reward) paid.push(reward);
+    }
+    return paid;
+  }
+
+  // The referrer's code, link-ready, with each referral and its reward state
+  async function summary(user) {
+    const code = await ensureCode(user);
+    const refereeIds = await redis.zRange(`referral:list:${user.id}`, 0, -1, { REV: true });
+    const referrals = [];
+    for (const refereeId of refereeIds) {
+      const [referee, attribution, reward] = await Promise.all([
+        users.get(refereeId),
+        redis.get(refereeKey(refereeId)),
+        redis.get(rewardKey(refereeId, 'referrer'))
+      ]);
+      const paid = reward && reward !== 'processing' ? JSON.parse(reward) : null;
+      referrals.push({
+        name: referee?.name || null,
+        signedUpAt: attribution ? JSON.parse(attribution).attributedAt : null,
+        converted: !!paid,
+        reward: paid ? { type: paid.type, days: paid.days, couponId: paid.couponId, paidAt: paid.paidAt } : null
+      });
+    }
+    return {
+      code,
+      referrals,
+      converted: referrals.filter(r => r.converted).length,
+      reward: mode === 'coupon' ? { type: 'coupon', couponId } : { type: 'free_days', days: rewardDays }
+    };
+  }
+
+  return { ensureCode, attribute, handlePaidInvoice, summary };
+}
+
+module.exports = { generateCode, createReferralProgram };
@@ -0,0 +1,255 @@
+// ── AUTOMATIC SETTLEMENT ──────────────────────────────────────────────────────
+// Grades pending journal bets from final scores. Bets carrying an eventId are
+// matched directly; the rest are matched by team name and date. Bets the feed
+// can never grade (props, parlays, futures, or games older than its window)
+// leave the queue and stay pending for the user to settle by hand.
+// Key schema:
+//   settle:lock           →  token of the instance running a settlement pass
+//   scores:{sportKey}     →  cached scores feed, shared with the pick ledger (10 min)
+//   scores:final:{gameId} →  a completed game from the feed (4 days)
+
+const crypto = require('crypto');
+const { SPORTS, matchesSelection } = require('./odds');
+const { createTheOddsApiProvider } = require('./providers/theOddsApi');
+const { createStubOddsProvider } = require('./providers/stubOdds');
+
+// Don't look for a final until the game has had time to finish.
+const MIN_GAME_LENGTH_MS = 2 * 3600 * 1000;
+// Unlinked bets match games starting from an hour before placement up to 3 days after.
+const MATCH_WINDOW_MS = { before: 3600 * 1000, after: 3 * 24 * 3600 * 1000 };
+// Scores feeds only look back three days
+const SCORES_WINDOW_MS = 3 * 24 * 3600 * 1000;
+const GRADABLE_MARKETS = ['moneyline', 'spread', 'total'];
+// Shorter than the grading interval, so each pass sees fresh finals
+const SCORES_CACHE_SECONDS = 10 * 60;
+// Releases a job lock only while it still holds the caller's token, so a pass
+// that outlived the lock's TTL can't drop the lock of the pass that took over.
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Finals never change; keep them past the last day anything is graded from them
+const FINAL_CACHE_SECONDS = 4 * 24 * 3600;
+
+// Returns a token for releaseLock, or null when another instance holds the lock.
+async function acquireLock(redis, key, ttlSeconds) {
+  const token = crypto.randomUUID();
+  return await redis.set(key, token, { NX: true, EX: ttlSeconds }) ? token : null;
+}
+
+async function releaseLock(redis, key, token) {
+  await redis.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+}
+
+function createScoresProvider(env = process.env) {
+  const name = (env.SCORES_PROVIDER || env.ODDS_PROVIDER || 'the-odds-api').toLowerCase();
+  if (name === 'stub') return createStubOddsProvider({ scoresFixturePath: env.SCORES_FIXTURE_PATH || undefined });
+  return createTheOddsApiProvider({ apiKey: env.ODDS_API_KEY });
+}
+
+// Scores pulls cost quota and both settlement and the pick ledger grade from
+// them, so one pull per sport is cached and shared (concurrent callers included)
+// and pulls draw from the odds credit `budget`. Completed games are kept much
+// longer: a caller naming the `eventIds` it needs gets them without a pull once
+// all of them are final.
+function createCachedScores({ redis, scores, budget, ttlSeconds = SCORES_CACHE_SECONDS }) {
+  const inFlight = new Map();
+  const finalKey = (gameId) => `scores:final:${gameId}`;
+
+  async function pull(sportKey) {
+    if (budget && !await budget.reserve(scores.scoresCreditsPerCall || 0)) {
+      throw new Error('Odds credit budget for this month is spent');
+    }
+    const raw = await scores.fetchScores(sportKey);
+    const tx = redis.multi();
+    tx.set(`scores:${sportKey}`, JSON.stringify(raw), { EX: ttlSeconds });
+    for (const game of raw) {
+      if (game.completed) tx.set(finalKey(game.id), JSON.stringify(game), { EX: FINAL_CACHE_SECONDS });
+    }
+    await tx.exec();
+    return raw;
+  }
+
+  async function fetchScores(sportKey, { eventIds } = {}) {
+    if (eventIds?.length) {
+      const finals = await redis.mGet(eventIds.map(finalKey));
+      if (finals.every(Boolean)) return finals.map(raw => JSON.parse(raw));
+    }
+    const cached = await redis.get(`scores:${sportKey}`);
+    if (cached) return JSON.parse(cached);
+    if (!inFlight.has(sportKey)) {
+      inFlight.set(sportKey, pull(sportKey).finally(() => inFlight.delete(sportKey)));
+    }
+    return inFlight.get(sportKey);
+  }
+
+  return { name: scores.name, fetchScores };
+}
+
+// Flattens a feed game into { id, completed, homeTeam, awayTeam, homeScore, awayScore }.
+function normalizeGame(raw) {
+  const score = (team) => {
+    const entry = (raw.scores || []).find(s => s.name === team);
+    return entry ? Number(entry.score) : null;
+  };
+  return {
+    id: raw.id,
+    completed: !!raw.completed,
+    commenceTime: raw.commence_time,
+    homeTeam: raw.home_team,
+    awayTeam: raw.away_team,
+    homeScore: score(raw.home_team),
+    awayScore: score(raw.away_team)
+  };
+}
+
+function betPoint(bet) {
+  if (bet.point != null) return Number(bet.point);
+  const match = String(bet.selection || '').match(/([+-]?\d+(?:\.\d+)?)\s*$/);
+  return match ? Number(match[1]) : null;
+}
+
+// Returns 'win' | 'loss' | 'push', or null when the bet can't be graded from a
+// final score (props, futures, unrecognised selection).
+function gradeBet(bet, game) {
+  if (!game.completed || game.homeScore == null || game.awayScore == null) return null;
+
+  if (bet.market === 'total') {
+    const side = String(bet.selection || '').trim().toLowerCase();
+    const line = betPoint(bet);
+    if (line == null || !/^(over|under)\b/.test(side)) return null;
+    const diff = game.homeScore + game.awayScore - line;
+    if (diff === 0) return 'push';
+    return (diff > 0) === side.startsWith('over') ? 'win' : 'loss';
+  }
+
+  let teamScore, oppScore;
+  if (matchesSelection(bet.selection, game.homeTeam)) [teamScore, oppScore] = [game.homeScore, game.awayScore];
+  else if (matchesSelection(bet.selection, game.awayTeam)) [teamScore, oppScore] = [game.awayScore, game.homeScore];
+  else return null;
+
+  if (bet.market === 'moneyline') {
+    if (teamScore === oppScore) return 'push';
+    return teamScore > oppScore ? 'win' : 'loss';
+  }
+
+  if (bet.market === 'spread') {
+    const line = betPoint(bet);
+    if (line == null) return null;
+    // Half-point lines can never land exactly, so only whole numbers push
+    const margin = teamScore + line - oppScore;
+    if (margin === 0) return 'push';
+    return margin > 0 ? 'win' : 'loss';
+  }
+
+  return null;
+}
+
+function findGame(bet, games) {
+  if (bet.eventId) return games.find(g => g.id === bet.eventId) || null;
+
+  const placed = new Date(bet.commenceTime || bet.placedAt).getTime();
+  return games
+    .filter(g => {
+      const start = new Date(g.commenceTime).getTime();
+      return start >= placed - MATCH_WINDOW_MS.before && start <= placed + MATCH_WINDOW_MS.after &&
+        (matchesSelection(bet.selection, g.homeTeam) || matchesSelection(bet.selection, g.awayTeam));
+    })
+    .sort((a, b) => new Date(a.commenceTime) - new Date(b.commenceTime))[0] || null;
+}
+
+// Past this, the bet's game has dropped out of the scores feed. Unlinked bets
+// may be on a game up to MATCH_WINDOW_MS.after past placement.
+function gradeDeadline(bet) {
+  if (bet.commenceTime) return new Date(bet.commenceTime).getTime() + SCORES_WINDOW_MS;
+  return new Date(bet.placedAt).getTime() + MATCH_WINDOW_MS.after + SCORES_WINDOW_MS;
+}
+
+function createSettlementJob({ redis, scores, journal, onSettled = async () => {} }) {
+  // One pass: load due pending bets, pull scores at most once per sport, grade,
+  // record. A sport whose due bets are all linked to games already final isn't pulled.
+  async function run({ now = Date.now() } = {}) {
+    const lock = await acquireLock(redis, 'settle:lock', 600);
+    if (!lock) return { settled: 0, skipped: 0, dropped: 0 };
+
+    const results = { settled: 0, skipped: 0, dropped: 0 };
+    try {
+      const due = [];
+      for (const { journalId, betId, member } of await journal.listPending({ before: now - MIN_GAME_LENGTH_MS })) {
+        try {
+          const bet = await journal.get(journalId, betId);
+          if (!bet || bet.outcome !== 'pending') {
+            await journal.unindexPending(member);
+            continue;
+          }
+          if (!SPORTS[bet.sport] || !GRADABLE_MARKETS.includes(bet.market) || now > gradeDeadline(bet)) {
+            await journal.unindexPending(member);
+            results.dropped++;
+            continue;
+          }
+          due.push({ journalId, betId, member, bet });
+        } catch (e) {
+          console.error(`Settlement failed for ${member}:`, e.message);
+        }
+      }
+
+      // Unlinked bets are matched by team and date, so only a full pull will do
+      const eventIds = (sport) => {
+        const bets = due.filter(d => d.bet.sport === sport).map(d => d.bet);
+        return bets.every(b => b.eventId) ? bets.map(b => b.eventId) : undefined;
+      };
+      const gamesBySport = new Map();
+
+      for (const { journalId, betId, member, bet } of due) {
+        try {
+          if (!gamesBySport.has(bet.sport)) {
+            try {
+              const raw = await scores.fetchScores(SPORTS[bet.sport].key, { eventIds: eventIds(bet.sport) });
+              gamesBySport.set(bet.sport, raw.map(normalizeGame));
+            } catch (e) {
+              // One failed pull per sport per pass; its bets wait for the next one
+              console.error(`Scores fetch failed for ${bet.sport}:`, e.message);
+              gamesBySport.set(bet.sport, null);
+            }
+          }
+          const games = gamesBySport.get(bet.sport);
+          if (!games) {
+            results.skipped++;
+            continue;
+          }
+
+          const game = findGame(bet, games);
+          const outcome = game && gradeBet(bet, game);
+          if (!outcome) {
+            results.skipped++;
+            continue;
+          }
+
+          const settled = await journal.update(journalId, betId, {
+            outcome,
+            settlement: {
+              source: scores.name,
+              gameId: game.id,
+              finalScore: { [game.homeTeam]: game.homeScore, [game.awayTeam]: game.awayScore },
+              settledAt: new Date(now).toISOString()
+            }
+          }, null, { validate: false });
+          await onSettled(journalId, settled);
+          results.settled++;
+        } catch (e) {
+          console.error(`Settlement failed for ${member}:`, e.message);
+        }
+      }
+    } finally {
+      await releaseLock(redis, 'settle:lock', lock);
+    }
+    return results;
+  }
+
+  return { run };
+}
+
+module.exports = { acquireLock, releaseLock, createScoresProvider, createCachedScores, normalizeGame, gradeBet, findGame, createSettlementJob };
@@ -0,0 +1,135 @@
+// ── STAKING PLANS ─────────────────────────────────────────────────────────────
+// How much of a user's bankroll to put on a pick. Plan shape (on the user
+// record as `staking`):
+//   { strategy, startingBankroll, unitSize, kellyFraction, maxPct, startedAt,
+//     bankroll, bankrollUpdatedAt }
+// Strategies: flat (one unit per pick), kelly (full Kelly), fractional_kelly
+// (Kelly × kellyFraction) and capped_pct (full Kelly, never above maxPct of the
+// bankroll). Whatever the strategy, stakes are capped harder on low-confidence
+// edges and parlays, since Kelly oversizes whenever the fair price is wrong.
+// `bankroll` is startingBankroll plus the profit of journal bets placed since
+// startedAt, recomputed as bets settle.
+
+const ev = require('./ev');
+const { betProfit } = require('./analytics');
+
+const STRATEGIES = ['flat', 'kelly', 'fractional_kelly', 'capped_pct'];
+const DEFAULT_KELLY_FRACTION = 0.25;
+const DEFAULT_MAX_PCT = 2;
+// No single bet risks more than this share of the bankroll, whatever the plan
+const MAX_STAKE_PCT = 5;
+// Tighter ceilings for the edges the model is least sure of (confidence is 0–90)
+const CONFIDENCE_CAPS = [
+  { below: 60, maxPct: 1 },
+  { below: 70, maxPct: 2.5 }
+];
+const PARLAY_MAX_PCT = 1;
+
+const round = (n, dp = 2) => Math.round(n * 10 ** dp) / 10 ** dp;
+
+class StakingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Validates plan settings over `current`. Changing the bankroll restarts the
+// plan from now.
+function validatePlan(input = {}, current = null, now = new Date()) {
+  const plan = { ...current };
+  const has = (k) => input[k] !== undefined && input[k] !== null && input[k] !== '';
+
+  if (has('strategy')) {
+    if (!STRATEGIES.includes(input.strategy)) throw new StakingError(`strategy must be one of: ${STRATEGIES.join(', ')}`);
+    plan.strategy = input.strategy;
+  }
+  if (has('bankroll')) {
+    const bankroll = Number(input.bankroll);
+    if (!(bankroll > 0)) throw new StakingError('bankroll must be a positive amount');
+    plan.startingBankroll = round(bankroll);
+    plan.bankroll = round(bankroll);
+    plan.startedAt = now.toISOString();
+    plan.bankrollUpdatedAt = now.toISOString();
+  }
+  if (has('unitSize')) {
+    const unit = Number(input.unitSize);
+    if (!(unit > 0)) throw new StakingError('unitSize must be a positive amount');
+    plan.unitSize = round(unit);
+  }
+  if (has('kellyFraction')) {
+    const fraction = Number(input.kellyFraction);
+    if (!(fraction > 0 && fraction <= 1)) throw new StakingError('kellyFraction must be between 0 and 1');
+    plan.kellyFraction = fraction;
+  }
+  if (has('maxPct')) {
+    const maxPct = Number(input.maxPct);
+    if (!(maxPct > 0 && maxPct <= MAX_STAKE_PCT)) throw new StakingError(`maxPct must be between 0 and ${MAX_STAKE_PCT}`);
+    plan.maxPct = maxPct;
+  }
+
+  if (!plan.startingBankroll) throw new StakingError('bankroll required');
+  plan.strategy = plan.strategy || 'fractional_kelly';
+  // One unit defaults to 1% of the starting bankroll
+  plan.unitSize = plan.unitSize || round(plan.startingBankroll / 100);
+  plan.kellyFraction = plan.kellyFraction || DEFAULT_KELLY_FRACTION;
+  plan.maxPct = plan.maxPct || DEFAULT_MAX_PCT;
+  if (plan.unitSize > plan.startingBankroll) throw new StakingError('unitSize cannot exceed the bankroll');
+  return plan;
+}
+
+// Full-Kelly fraction of bankroll for a bet at `decimalOdds` winning with `fairProb`
+function kellyFraction(fairProb, decimalOdds) {
+  const b = decimalOdds - 1;
+  if (!(b > 0) || fairProb == null) return 0;
+  return Math.max(0, (b * fairProb - (1 - fairProb)) / b);
+}
+
+// { stake, units, pct, strategy, kellyPct, cappedBy } for one bet. `confidence`
+// is the pick's 0–90 score; parlays pass { parlay: true } instead.
+function recommendStake(plan, { fairProb, decimalOdds, americanOdds, confidence = null, parlay = false }) {
+  const decimal = decimalOdds || ev.americanToDecimal(Number(String(americanOdds).replace(/^\+/, '')));
+  const kelly = kellyFraction(fairProb, decimal);
+  const bankroll = Math.max(0, plan.bankroll ?? plan.startingBankroll);
+
+  let pct;
+  if (kelly <= 0) pct = 0;
+  else if (plan.strategy === 'flat') pct = (plan.unitSize / bankroll) * 100;
+  else if (plan.strategy === 'kelly') pct = kelly * 100;
+  else if (plan.strategy === 'capped_pct') pct = Math.min(kelly * 100, plan.maxPct);
+  else pct = kelly * plan.kellyFraction * 100;
+
+  const caps = [{ by: 'max_stake', maxPct: MAX_STAKE_PCT }];
+  if (parlay) caps.push({ by: 'parlay', maxPct: PARLAY_MAX_PCT });
+  const confidenceCap = confidence != null && CONFIDENCE_CAPS.find(c => confidence < c.below);
+  if (confidenceCap) caps.push({ by: 'low_confidence', maxPct: confidenceCap.maxPct });
+
+  let cappedBy = null;
+  for (const cap of caps) {
+    if (pct > cap.maxPct) {
+      pct = cap.maxPct;
+      cappedBy = cap.by;
+    }
+  }
+
+  const stake = bankroll > 0 ? round(bankroll * pct / 100) : 0;
+  return {
+    stake,
+    units: plan.unitSize ? round(stake / plan.unitSize) : null,
+    pct: round(pct),
+    strategy: plan.strategy,
+    kellyPct: round(kelly * 100),
+    cappedBy: bankroll > 0 ? cappedBy : 'bankroll_depleted'
+  };
+}
+
+// Starting bankroll plus settled profit on bets placed since the plan started
+function bankrollFrom(plan, bets) {
+  const since = new Date(plan.startedAt || 0).getTime();
+  const profit = bets
+    .filter(b => ['win', 'loss', 'push'].includes(b.outcome) && new Date(b.placedAt).getTime() >= since)
+    .reduce((sum, b) => sum + betProfit(b), 0);
+  return round(plan.startingBankroll + profit);
+}
+
+module.exports = { STRATEGIES, StakingError, validatePlan, recommendStake, bankrollFrom };
@@ -0,0 +1,194 @@
+// ── STEAM & REVERSE LINE MOVEMENT ─────────────────────────────────────────────
+// Every fresh odds pull is stored as a per-market snapshot. A steam move is
+// several books moving toward the same side within a short window; reverse line
+// movement (RLM) is steam against the public side, which without betting-split
+// data is taken to be the favorite.
+// Key schema:
+//   steam:snap:{eventId}:{market}  →  sorted set of JSON snapshots scored by time (ms)
+//   steam:feed                     →  sorted set of JSON steam events scored by time (ms)
+//   steam:seen:{eventId}:{market}:{side}  →  dedupe marker for one window
+
+const ev = require('./ev');
+const { SPORTS, MARKET_LABELS } = require('./odds');
+
+const SNAPSHOT_RETENTION_MS = 24 * 3600 * 1000;
+const FEED_RETENTION_MS = 7 * 24 * 3600 * 1000;
+
+// A window only sees a move if it spans two odds pulls, and cached pulls are an
+// odds cache TTL apart (hours, see SPORTS in odds.js). Windows shorter than two
+// TTLs only catch moves between fresh closing-line reads; loadThresholds warns
+// about them rather than stretching them.
+const DEFAULT_THRESHOLDS = {
+  NBA: { windowMinutes: 30, minBooks: 3, minProbMove: 2, minPointMove: 1 },
+  NFL: { windowMinutes: 60, minBooks: 3, minProbMove: 2, minPointMove: 0.5 },
+  NCAAF: { windowMinutes: 60, minBooks: 3, minProbMove: 2.5, minPointMove: 1 },
+  NHL: { windowMinutes: 45, minBooks: 3, minProbMove: 2, minPointMove: 0.5 },
+  NCAAB: { windowMinutes: 40, minBooks: 3, minProbMove: 2.5, minPointMove: 1 },
+  MLB: { windowMinutes: 45, minBooks: 3, minProbMove: 2, minPointMove: 0.5 }
+};
+
+// STEAM_THRESHOLDS='{"NBA":{"minBooks":2}}' overrides individual fields per sport.
+function loadThresholds(env = process.env) {
+  let overrides = {};
+  if (env.STEAM_THRESHOLDS) {
+    try {
+      overrides = JSON.parse(env.STEAM_THRESHOLDS);
+    } catch (e) {
+      console.error('Invalid STEAM_THRESHOLDS, using defaults:', e.message);
+    }
+  }
+  // Every odds sport gets thresholds, so a sport added there is never skipped here
+  const thresholds = Object.fromEntries(Object.keys(SPORTS).map(sport => [
+    sport,
+    { ...(DEFAULT_THRESHOLDS[sport] || DEFAULT_THRESHOLDS.NFL), ...overrides[sport] }
+  ]));
+
+  const short = Object.entries(thresholds)
+    .filter(([sport, t]) => t.windowMinutes * 60 < 2 * SPORTS[sport].ttl)
+    .map(([sport, t]) => `${sport} (${t.windowMinutes}m, odds cached ${SPORTS[sport].ttl / 60}m)`);
+  if (short.length) {
+    console.warn(`Steam windows shorter than two odds pulls, so only closing-line reads are compared: ${short.join(', ')}`);
+  }
+  return thresholds;
+}
+
+// { t, books: { [bookKey]: { title, outcomes: [{ name, point, price }] } } } per market
+function snapshotMarkets(event, at) {
+  const markets = {};
+  for (const book of event.bookmakers || []) {
+    for (const market of book.markets || []) {
+      markets[market.key] = markets[market.key] || { t: at, books: {} };
+      markets[market.key].books[book.key] = {
+        title: book.title,
+        outcomes: market.outcomes.map(o => ({ name: o.name, point: o.point ?? null, price: o.price }))
+      };
+    }
+  }
+  return markets;
+}
+
+function fairByName(outcomes) {
+  const noVig = ev.removeVig(outcomes.map(o => o.price));
+  return noVig ? Object.fromEntries(outcomes.map((o, i) => [o.name, noVig.fair[i]])) : {};
+}
+
+// Positive when the line moved toward `name`: a spread laying more points, a
+// total going up for Over (down for Under).
+function pointShift(marketKey, name, from, to) {
+  if (marketKey === 'h2h' || from.point == null || to.point == null) return 0;
+  const delta = to.point - from.point;
+  if (marketKey === 'spreads') return -delta;
+  return /^over$/i.test(name) ? delta : -delta;
+}
+
+// Compares each book's latest price with its earliest price inside the window.
+// Returns one move per side that enough books moved toward.
+function detectMoves(marketKey, snapshots, threshold) {
+  if (snapshots.length < 2) return [];
+  const latest = snapshots[snapshots.length - 1];
+  const towards = new Map();
+
+  for (const [bookKey, now] of Object.entries(latest.books)) {
+    const first = snapshots.find(s => s.books[bookKey]);
+    if (!first || first === latest) continue;
+    const then = first.books[bookKey];
+    const fairNow = fairByName(now.outcomes);
+    const fairThen = fairByName(then.outcomes);
+
+    for (const outcome of now.outcomes) {
+      const before = then.outcomes.find(o => o.name === outcome.name);
+      if (!before) continue;
+      const points = pointShift(marketKey, outcome.name, before, outcome);
+      const prob = ((fairNow[outcome.name] ?? 0) - (fairThen[outcome.name] ?? 0)) * 100;
+      const moved = points >= threshold.minPointMove || (points === 0 && prob >= threshold.minProbMove);
+      if (!moved) continue;
+
+      if (!towards.has(outcome.name)) towards.set(outcome.name, []);
+      towards.get(outcome.name).push({
+        book: bookKey,
+        title: now.title,
+        from: { price: before.price, point: before.point, at: new Date(first.t).toISOString() },
+        to: { price: outcome.price, point: outcome.point, at: new Date(latest.t).toISOString() },
+        points,
+        prob
+      });
+    }
+  }
+
+  const avg = (list, key) => Math.round(list.reduce((s, m) => s + m[key], 0) / list.length * 100) / 100;
+  return Array.from(towards, ([side, books]) => ({ side, books }))
+    .filter(m => m.books.length >= threshold.minBooks)
+    .map(m => ({
+      side: m.side,
+      moveSize: { points: avg(m.books, 'points'), probPct: avg(m.books, 'prob') },
+      books: m.books.map(({ points, prob, ...rest }) => rest),
+      windowStart: new Date(snapshots[0].t).toISOString()
+    }));
+}
+
+// The favorite (higher consensus fair probability at the start of the window)
+// stands in for the public side.
+function isReverseMove(marketKey, snapshots, side) {
+  if (marketKey === 'totals') return false;
+  const probs = {};
+  for (const book of Object.values(snapshots[0].books)) {
+    for (const [name, p] of Object.entries(fairByName(book.outcomes))) probs[name] = (probs[name] || 0) + p;
+  }
+  const favorite = Object.entries(probs).sort((a, b) => b[1] - a[1])[0]?.[0];
+  return !!favorite && favorite !== side;
+}
+
+function createSteamDetector({ redis, thresholds = loadThresholds() }) {
+  const snapKey = (eventId, market) => `steam:snap:${eventId}:${market}`;
+
+  // Stores snapshots for one odds pull and returns any new steam events.
+  async function record(sport, events, at = Date.now()) {
+    const threshold = thresholds[sport];
+    if (!threshold) return [];
+    const windowMs = threshold.windowMinutes * 60 * 1000;
+    const found = [];
+
+    for (const event of events) {
+      for (const [marketKey, snapshot] of Object.entries(snapshotMarkets(event, at))) {
+        const key = snapKey(event.id, marketKey);
+        await redis.zAdd(key, { score: at, value: JSON.stringify(snapshot) });
+        await redis.zRemRangeByScore(key, '-inf', at - SNAPSHOT_RETENTION_MS);
+        await redis.expire(key, Math.ceil(SNAPSHOT_RETENTION_MS / 1000) * 2);
+
+        const window = (await redis.zRangeByScore(key, at - windowMs, at)).map(s => JSON.parse(s));
+        for (const move of detectMoves(marketKey, window, threshold)) {
+          const seen = await redis.set(`steam:seen:${event.id}:${marketKey}:${move.side}`, '1', { NX: true, EX: Math.ceil(windowMs / 1000) });
+          if (!seen) continue;
+
+          const steamEvent = {
+            id: `${event.id}:${marketKey}:${move.side}:${at}`,
+            sport,
+            eventId: event.id,
+            homeTeam: event.home_team,
+            awayTeam: event.away_team,
+            commenceTime: event.commence_time,
+            market: MARKET_LABELS[marketKey] || marketKey,
+            ...move,
+            reverseLineMovement: isReverseMove(marketKey, window, move.side),
+            detectedAt: new Date(at).toISOString()
+          };
+          await redis.zAdd('steam:feed', { score: at, value: JSON.stringify(steamEvent) });
+          found.push(steamEvent);
+        }
+      }
+    }
+
+    await redis.zRemRangeByScore('steam:feed', '-inf', at - FEED_RETENTION_MS);
+    return found;
+  }
+
+  async function feed({ since, sport, limit = 50 } = {}) {
+    const min = since ? new Date(since).getTime() : Date.now() - 24 * 3600 * 1000;
+    const raw = await redis.zRange('steam:feed', '+inf', min, { BY: 'SCORE', REV: true });
+    return raw.map(r => JSON.parse(r)).filter(e => !sport || e.sport === sport).slice(0, limit);
+  }
+
+  return { thresholds, record, feed };
+}
+
+module.exports = { DEFAULT_THRESHOLDS, loadThresholds, detectMoves, createSteamDetector };
@@ -0,0 +1,149 @@
+// ── SESSION TOKENS ────────────────────────────────────────────────────────────
+// HS256 JWTs signed with AUTH_TOKEN_SECRET. Short-lived access tokens authorize
+// requests; longer-lived refresh tokens are rotated on every use.
+// Revocation lives in Redis:
+//   auth:denylist:{jti}          →  "1" until the token would have expired
+//   auth:revoked_before:{userId} →  epoch seconds; older tokens are rejected
+//   auth:code:{code}             →  user id for the one-time OAuth redirect code
+//   auth:otp:{purpose}:{sha256}  →  user id for emailed verify/reset links
+
+const crypto = require('crypto');
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+class TokenError extends Error {}
+
+function createTokenService({ redis, secret, accessTtl = 15 * 60, refreshTtl = 30 * 24 * 3600, guestTtl = 365 * 24 * 3600, codeTtl = 60 }) {
+  if (!secret) {
+    console.warn('AUTH_TOKEN_SECRET not set — using an ephemeral secret, sessions will not survive restarts');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+  function encode(payload) {
+    const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = b64url(JSON.stringify(payload));
+    return `${head}.${body}.${sign(`${head}.${body}`)}`;
+  }
+
+  function decode(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) throw new TokenError('Malformed token');
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new TokenError('Bad signature');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (e) {
+      throw new TokenError('Malformed token');
+    }
+    if (!payload.exp || payload.exp <= nowSeconds()) throw new TokenError('Token expired');
+    return payload;
+  }
+
+  function mint(userId, typ, ttl) {
+    const iat = nowSeconds();
+    return encode({ sub: userId, typ, jti: crypto.randomBytes(16).toString('hex'), iat, exp: iat + ttl });
+  }
+
+  async function assertNotRevoked(claims) {
+    const [denied, revokedBefore] = await Promise.all([
+      redis.get(`auth:denylist:${claims.jti}`),
+      redis.get(`auth:revoked_before:${claims.sub}`)
+    ]);
+    if (denied) throw new TokenError('Token revoked');
+    if (revokedBefore && claims.iat < Number(revokedBefore)) throw new TokenError('Token revoked');
+  }
+
+  async function deny(claims) {
+    const ttl = claims.exp - nowSeconds();
+    if (ttl > 0) await redis.set(`auth:denylist:${claims.jti}`, '1', { EX: ttl });
+  }
+
+  function issue(userId) {
+    return {
+      token: mint(userId, 'access', accessTtl),
+      refreshToken: mint(userId, 'refresh', refreshTtl),
+      expiresIn: accessTtl
+    };
+  }
+
+  // Guest tokens identify an anonymous device journal; they are never accepted
+  // where an account token is required.
+  function issueGuest() {
+    const deviceId = `guest_${crypto.randomBytes(12).toString('hex')}`;
+    return { deviceId, guestToken: mint(deviceId, 'guest', guestTtl), expiresIn: guestTtl };
+  }
+
+  async function verify(token, typ = 'access') {
+    const claims = decode(token);
+    if (claims.typ !== typ) throw new TokenError('Wrong token type');
+    await assertNotRevoked(claims);
+    return claims;
+  }
+
+  // Single-use: the presented refresh token is denylisted before a new pair is issued.
+  async function refresh(refreshToken) {
+    const claims = await verify(refreshToken, 'refresh');
+    await deny(claims);
+    return { userId: claims.sub, ...issue(claims.sub) };
+  }
+
+  async function revoke(token) {
+    try {
+      await deny(decode(token));
+    } catch (e) {
+      if (!(e instanceof TokenError)) throw e;
+    }
+  }
+
+  // Invalidates every token issued to the user up to now. The +1 covers tokens
+  // minted earlier in the current second.
+  async function revokeAll(userId) {
+    await redis.set(`auth:revoked_before:${userId}`, String(nowSeconds() + 1), { EX: refreshTtl });
+  }
+
+  // Short-lived code handed to the frontend after OAuth so tokens never appear
+  // in a redirect URL, browser history or referrer headers.
+  async function createExchangeCode(userId) {
+    const code = crypto.randomBytes(24).toString('hex');
+    await redis.set(`auth:code:${code}`, userId, { EX: codeTtl });
+    return code;
+  }
+
+  async function redeemExchangeCode(code) {
+    if (!code) return null;
+    return redis.getDel(`auth:code:${code}`);
+  }
+
+  return { issue, issueGuest, verify, refresh, revoke, revokeAll, createExchangeCode, redeemExchangeCode };
+}
+
+// Single-use, expiring tokens for links sent by email. Only a hash is stored so
+// a Redis dump cannot be replayed.
+function createOneTimeTokenStore({ redis }) {
+  const key = (purpose, token) =>
+    `auth:otp:${purpose}:${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+
+  return {
+    async issue(purpose, userId, ttlSeconds) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      await redis.set(key(purpose, token), userId, { EX: ttlSeconds });
+      return token;
+    },
+
+    async consume(purpose, token) {
+      if (!token) return null;
+      return redis.getDel(key(purpose, token));
+    }
+  };
+}
+
+module.exports = { TokenError, createTokenService, createOneTimeTokenStore };
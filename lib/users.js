@@ -0,0 +1,248 @@
+// ── USER REPOSITORY (Redis-backed) ────────────────────────────────────────────
+// Key schema:
+//   user:{id}                        →  JSON user record
+//   user:email:{email}               →  user id
+//   user:stripe_customer:{customerId} →  user id
+//   user:stripe_sub:{subscriptionId} →  user id
+//   identity:{provider}:{subject}    →  user id (Google `sub`, Facebook `id`)
+//   users:all                        →  set of every user id
+//   users:override_expiry            →  sorted set of user id scored by entitlement override expiry (ms)
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+const INDEXES = {
+  email: (u) => u.email && `user:email:${normalizeEmail(u.email)}`,
+  stripeCustomerId: (u) => u.stripeCustomerId && `user:stripe_customer:${u.stripeCustomerId}`,
+  subscriptionId: (u) => u.subscriptionId && `user:stripe_sub:${u.subscriptionId}`
+};
+
+// Records remember the JSON they were read from (hidden from spreads and
+// JSON), so save() can tell which fields the caller changed.
+const STORED = Symbol('stored');
+const SAVE_ATTEMPTS = 5;
+
+// Replaces the record only if it still holds ARGV[1] ('' for none). With a
+// second key (a newly set email's index) it also claims that for user ARGV[3],
+// refusing with -1 when another user holds it.
+const COMPARE_AND_SET_SCRIPT = `
+if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+if KEYS[2] then
+  local owner = redis.call('GET', KEYS[2])
+  if owner and owner ~= ARGV[3] then return -1 end
+  redis.call('SET', KEYS[2], ARGV[3])
+end
+redis.call('SET', KEYS[1], ARGV[2])
+return 1
+`;
+
+class UserConflictError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Drops a user from the override expiry index only if their entry is still due,
+// so an override granted since the sweep read it stays indexed
+const UNINDEX_OVERRIDE_SCRIPT = `
+local score = redis.call('ZSCORE', KEYS[1], ARGV[1])
+if score and tonumber(score) <= tonumber(ARGV[2]) then return redis.call('ZREM', KEYS[1], ARGV[1]) end
+return 0
+`;
+
+function parseUser(raw) {
+  const user = JSON.parse(raw);
+  Object.defineProperty(user, STORED, { value: raw, writable: true });
+  return user;
+}
+
+// `stored` with the top-level fields `user` changed since it was read from `base`
+function applyChanges(stored, base, user) {
+  const next = { ...stored };
+  for (const key of new Set([...Object.keys(base), ...Object.keys(user)])) {
+    if (JSON.stringify(user[key]) === JSON.stringify(base[key])) continue;
+    if (user[key] === undefined) delete next[key];
+    else next[key] = user[key];
+  }
+  return next;
+}
+
+function createUserRepo({ redis }) {
+  const userKey = (id) => `user:${id}`;
+  const identityKey = (provider, subject) => `identity:${provider}:${subject}`;
+
+  async function get(id) {
+    if (!id) return null;
+    const raw = await redis.get(userKey(id));
+    return raw ? parseUser(raw) : null;
+  }
+
+  async function findBy(indexKey) {
+    if (!indexKey) return null;
+    return get(await redis.get(indexKey));
+  }
+
+  const findByEmail = (email) => email ? findBy(INDEXES.email({ email })) : null;
+  const findByStripeCustomer = (customerId) => findBy(INDEXES.stripeCustomerId({ stripeCustomerId: customerId }));
+  const findByStripeSubscription = (subscriptionId) => findBy(INDEXES.subscriptionId({ subscriptionId }));
+  const findByIdentity = (provider, subject) => subject ? findBy(identityKey(provider, subject)) : null;
+
+  // Writes the fields changed since `user` was read onto the stored record, so a
+  // concurrent write to other fields (a Stripe webhook moving the tier) is kept
+  // rather than reverted by this stale copy; `user` is then refreshed to match.
+  // Records not read through this repo are written whole. Indexes whose value
+  // changed are moved; an email another account holds is refused with a
+  // UserConflictError and nothing is written.
+  async function save(user) {
+    const base = user[STORED] ? JSON.parse(user[STORED]) : null;
+
+    for (let attempt = 0; attempt < SAVE_ATTEMPTS; attempt++) {
+      const raw = await redis.get(userKey(user.id));
+      const previous = raw ? JSON.parse(raw) : null;
+      const next = base && previous ? applyChanges(previous, base, user) : { ...user };
+      const nextRaw = JSON.stringify(next);
+      const emailKey = INDEXES.email(next);
+      const claimEmail = emailKey && emailKey !== (previous && INDEXES.email(previous));
+
+      const written = await redis.eval(COMPARE_AND_SET_SCRIPT, {
+        keys: claimEmail ? [userKey(user.id), emailKey] : [userKey(user.id)],
+        arguments: [raw || '', nextRaw, user.id]
+      });
+      if (written === -1) throw new UserConflictError('That email belongs to another account');
+      if (!written) continue;
+
+      const tx = redis.multi();
+      tx.sAdd('users:all', user.id);
+      for (const indexFor of Object.values(INDEXES)) {
+        const oldKey = previous && indexFor(previous);
+        const newKey = indexFor(next);
+        if (oldKey && oldKey !== newKey) tx.del(oldKey);
+        // The email index was claimed with the record
+        if (newKey && indexFor !== INDEXES.email) tx.set(newKey, user.id);
+      }
+      if (next.entitlementOverride) {
+        tx.zAdd('users:override_expiry', { score: new Date(next.entitlementOverride.expiresAt).getTime(), value: user.id });
+      } else if (previous?.entitlementOverride) {
+        tx.zRem('users:override_expiry', user.id);
+      }
+      await tx.exec();
+
+      for (const key of Object.keys(user)) if (!(key in next)) delete user[key];
+      Object.assign(user, next);
+      Object.defineProperty(user, STORED, { value: nextRaw, writable: true });
+      return user;
+    }
+    throw new Error(`User ${user.id} is being modified concurrently, try again`);
+  }
+
+  // Claims the email index first so two concurrent sign-ups with the same
+  // address cannot both succeed. Returns null when the email is taken.
+  async function create(user) {
+    const emailKey = INDEXES.email(user);
+    if (emailKey) {
+      const claimed = await redis.set(emailKey, user.id, { NX: true });
+      if (!claimed) return null;
+    }
+    return save(user);
+  }
+
+  // Attaches a provider login to `user` (one per provider) and saves it. Returns
+  // false when that provider account already belongs to another user.
+  async function linkIdentity(user, { provider, subject, email = null }) {
+    const key = identityKey(provider, subject);
+    const claimed = await redis.set(key, user.id, { NX: true });
+    if (!claimed && await redis.get(key) !== user.id) return false;
+
+    const previous = (user.identities || []).find(i => i.provider === provider);
+    user.identities = [
+      ...(user.identities || []).filter(i => i.provider !== provider),
+      { provider, subject: String(subject), email, linkedAt: new Date().toISOString() }
+    ];
+    try {
+      await save(user);
+    } catch (e) {
+      // e.g. an email adopted with the link turned out to be taken
+      if (claimed) await redis.del(key);
+      throw e;
+    }
+    if (previous && previous.subject !== subject) await redis.del(identityKey(provider, previous.subject));
+    return true;
+  }
+
+  async function unlinkIdentity(user, provider) {
+    const identity = (user.identities || []).find(i => i.provider === provider);
+    if (!identity) return false;
+    user.identities = user.identities.filter(i => i.provider !== provider);
+    await save(user);
+    await redis.del(identityKey(provider, identity.subject));
+    return true;
+  }
+
+  // One page of users in no particular order; pass the returned cursor back
+  // until it is '0'.
+  async function scan(cursor = '0', count = 200) {
+    const page = await redis.sScan('users:all', Number(cursor) || 0, { COUNT: count });
+    const ids = page.members;
+    const raw = ids.length ? await redis.mGet(ids.map(userKey)) : [];
+    return { cursor: String(page.cursor), users: raw.filter(Boolean).map(parseUser) };
+  }
+
+  // Ids of users whose entitlement override expired by `now` and hasn't been
+  // swept yet; unindexOverride() once the expiry has been acted on.
+  const overridesExpiredBy = (now = Date.now()) => redis.zRangeByScore('users:override_expiry', '-inf', now);
+
+  async function unindexOverride(id, now = Date.now()) {
+    await redis.eval(UNINDEX_OVERRIDE_SCRIPT, { keys: ['users:override_expiry'], arguments: [id, String(now)] });
+  }
+
+  async function remove(id) {
+    const user = await get(id);
+    if (!user) return false;
+    const tx = redis.multi();
+    tx.del(userKey(id));
+    tx.sRem('users:all', id);
+    tx.zRem('users:override_expiry', id);
+    for (const indexFor of Object.values(INDEXES)) {
+      const key = indexFor(user);
+      if (key) tx.del(key);
+    }
+    for (const identity of user.identities || []) tx.del(identityKey(identity.provider, identity.subject));
+    await tx.exec();
+    return true;
+  }
+
+  return {
+    get,
+    findByEmail,
+    findByStripeCustomer,
+    findByStripeSubscription,
+    findByIdentity,
+    create,
+    save,
+    scan,
+    overridesExpiredBy,
+    unindexOverride,
+    linkIdentity,
+    unlinkIdentity,
+    remove
+  };
+}
+
+// OAuth state nonces live for ten minutes and are consumed exactly once.
+function createOAuthStateStore({ redis, ttlSeconds = 600 }) {
+  const stateKey = (state) => `oauth:state:${state}`;
+
+  return {
+    async put(state, data) {
+      await redis.set(stateKey(state), JSON.stringify(data), { EX: ttlSeconds });
+    },
+
+    async consume(state) {
+      if (!state) return null;
+      const raw = await redis.getDel(stateKey(state));
+      return raw ? JSON.parse(raw) : null;
+    }
+  };
+}
+
+module.exports = { UserConflictError, normalizeEmail, createUserRepo, createOAuthStateStore };
@@ -0,0 +1,248 @@
+// ── WEATHER IMPACT ────────────────────────────────────────────────────────────
+// Forecasts for outdoor NFL, NCAAF and MLB venues and what they do to the total.
+// Venues (data/venues.json) are keyed by home team as the odds feed names it
+// (NCAAF covers every FBS program); `orientation` is the compass bearing from
+// home plate to centre field, or along the length of a football field, to
+// within about 15°. It is null only for domes; a venue without one has its wind
+// treated as all crosswind. Neutral-site games are matched to the home team's stadium.
+// Adjustment sizes are rules of thumb from historical totals, not a fitted model.
+// Key schema:
+//   weather:{provider}:{venue}:{hour}  →  JSON conditions for that hour (1h)
+
+const fs = require('fs');
+const path = require('path');
+const ev = require('./ev');
+const { createOpenMeteoProvider } = require('./providers/openMeteo');
+const { createStubWeatherProvider } = require('./providers/stubWeather');
+
+const WEATHER_SPORTS = ['NFL', 'NCAAF', 'MLB'];
+const CACHE_TTL_SECONDS = 3600;
+// Further out than this a forecast shouldn't move a number
+const MAX_LEAD_MS = 7 * 24 * 3600 * 1000;
+
+// Spread of final totals around the closing line, to turn points into probability
+const TOTAL_SIGMA = { NFL: 13.5, NCAAF: 16, MLB: 4.3 };
+// Smaller adjustments (points or runs) are noise
+const MATERIAL_ADJUSTMENT = { NFL: 1, NCAAF: 1.5, MLB: 0.3 };
+// A pick is flagged when weather moves its edge this much (percentage points) or flips it
+const MATERIAL_EDGE_SHIFT = 2;
+
+const round = (n, dp = 1) => Math.round(n * 10 ** dp) / 10 ** dp;
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+
+function createWeatherProvider(env = process.env) {
+  const name = (env.WEATHER_PROVIDER || 'open-meteo').toLowerCase();
+  if (name === 'stub') return createStubWeatherProvider({ fixturePath: env.WEATHER_FIXTURE_PATH || undefined });
+  if (name === 'open-meteo') return createOpenMeteoProvider();
+  throw new Error(`Unknown WEATHER_PROVIDER: ${name}`);
+}
+
+function loadVenues(file = path.join(__dirname, '..', 'data', 'venues.json')) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Abramowitz–Stegun approximation, accurate to ~1e-7
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// `along` is positive blowing toward centre field / the far end of the field;
+// `across` is the crosswind magnitude.
+function windComponents(windMph, windFromDeg, orientation) {
+  if (orientation == null || windFromDeg == null) return { along: null, across: round(windMph) };
+  const toward = (windFromDeg + 180) % 360;
+  const angle = (toward - orientation) * Math.PI / 180;
+  return { along: round(windMph * Math.cos(angle)), across: round(Math.abs(windMph * Math.sin(angle))) };
+}
+
+function describeWind(sport, windMph, { along, across }) {
+  if (windMph < 5) return 'calm';
+  if (along == null) return 'direction unknown';
+  if (sport === 'MLB') {
+    if (along >= 3) return 'blowing out';
+    if (along <= -3) return 'blowing in';
+  }
+  return across > Math.abs(along) ? 'crosswind' : 'along the field';
+}
+
+// Retractable roofs close for cold, heat, rain and high wind.
+function roofStatus(venue, c) {
+  if (venue.roof === 'dome') return 'closed';
+  if (venue.roof !== 'retractable') return 'open';
+  const bad = c.temperatureF < 55 || c.temperatureF > 88 || c.precipProbability >= 40 || c.windMph >= 20;
+  return bad ? 'likely_closed' : 'likely_open';
+}
+
+function footballFactors(c, wind) {
+  const factors = [];
+  // Crosswinds hurt passing and kicking most; wind along the field still costs one end
+  const effective = wind.along == null ? c.windMph : Math.hypot(wind.across, 0.7 * wind.along);
+  if (effective > 10) factors.push({ factor: 'wind', adjustment: -Math.min(8, 0.3 * (effective - 10)) });
+  if (c.temperatureF <= 20) factors.push({ factor: 'cold', adjustment: -1.5 });
+  else if (c.temperatureF <= 32) factors.push({ factor: 'cold', adjustment: -0.5 });
+  if (c.precipProbability >= 60 && c.precipIn >= 0.05) {
+    factors.push({ factor: c.temperatureF <= 32 ? 'snow' : 'rain', adjustment: -1.5 });
+  }
+  return factors;
+}
+
+function baseballFactors(c, wind) {
+  const factors = [];
+  if (wind.along != null && Math.abs(wind.along) >= 5) {
+    factors.push({ factor: wind.along > 0 ? 'wind_out' : 'wind_in', adjustment: clamp(0.08 * wind.along, -1.2, 1.2) });
+  }
+  // The ball carries further in warm air
+  if (Math.abs(c.temperatureF - 70) >= 10) {
+    factors.push({ factor: c.temperatureF > 70 ? 'heat' : 'cold', adjustment: clamp(0.02 * (c.temperatureF - 70), -0.6, 0.6) });
+  }
+  return factors;
+}
+
+// Median Over line across books
+function marketTotal(event) {
+  const points = [];
+  for (const book of event.bookmakers || []) {
+    const totals = (book.markets || []).find(m => m.key === 'totals');
+    const over = totals?.outcomes.find(o => /^over$/i.test(o.name));
+    if (over?.point != null) points.push(over.point);
+  }
+  if (!points.length) return null;
+  points.sort((a, b) => a - b);
+  const mid = Math.floor(points.length / 2);
+  return points.length % 2 ? points[mid] : (points[mid - 1] + points[mid]) / 2;
+}
+
+// How a report's adjustment moves a totals pick's edge; null for other markets.
+// The final total is modelled as normal around the market line, shifted by the adjustment.
+function pickImpact(pick, report) {
+  if (pick.market !== 'total' || pick.point == null || !report?.adjustment) return null;
+  const sigma = TOTAL_SIGMA[pick.sport];
+  const line = report.marketTotal ?? pick.point;
+  const before = 1 - normalCdf((pick.point - line) / sigma);
+  const after = 1 - normalCdf((pick.point - line - report.adjustment) / sigma);
+  const probShift = (/^over$/i.test(pick.selection) ? 1 : -1) * (after - before);
+
+  const decimal = ev.americanToDecimal(pick.odds);
+  const edgeShift = round(probShift * decimal * 100);
+  const adjustedEdge = round(pick.edge + edgeShift);
+  return {
+    edgeShift,
+    adjustedEdge,
+    direction: edgeShift >= 0 ? 'supports' : 'against',
+    material: Math.abs(edgeShift) >= MATERIAL_EDGE_SHIFT || Math.sign(adjustedEdge) !== Math.sign(pick.edge)
+  };
+}
+
+function createWeatherService({ redis, provider = createWeatherProvider(), odds, venues = loadVenues() }) {
+  async function conditionsAt(venue, at) {
+    const hour = new Date(at).toISOString().slice(0, 13);
+    const key = `weather:${provider.name}:${venue.venue}:${hour}`;
+    const cached = await redis.get(key);
+    if (cached) return JSON.parse(cached);
+
+    const conditions = await provider.fetchForecast({ lat: venue.lat, lon: venue.lon, at, venue: venue.venue });
+    if (conditions) await redis.set(key, JSON.stringify(conditions), { EX: CACHE_TTL_SECONDS });
+    return conditions;
+  }
+
+  // Weather report for one odds event, or null for sports weather doesn't apply to.
+  async function forEvent(sport, event, { now = Date.now() } = {}) {
+    if (!WEATHER_SPORTS.includes(sport)) return null;
+    const base = {
+      eventId: event.id,
+      sport,
+      homeTeam: event.home_team,
+      awayTeam: event.away_team,
+      commenceTime: event.commence_time
+    };
+
+    const venue = venues[sport]?.[event.home_team];
+    if (!venue) return { ...base, available: false, reason: 'unknown_venue' };
+    const total = marketTotal(event);
+    const venueInfo = { name: venue.venue, roof: venue.roof, orientation: venue.orientation };
+    if (venue.roof === 'dome') {
+      return { ...base, available: true, venue: venueInfo, roofStatus: 'closed', adjustment: 0, marketTotal: total, adjustedTotal: total, material: false };
+    }
+
+    const start = new Date(event.commence_time).getTime();
+    if (start - now > MAX_LEAD_MS) return { ...base, available: false, venue: venueInfo, reason: 'too_far_out' };
+    const conditions = await conditionsAt(venue, start);
+    if (!conditions) return { ...base, available: false, venue: venueInfo, reason: 'no_forecast' };
+
+    const status = roofStatus(venue, conditions);
+    const components = windComponents(conditions.windMph, conditions.windFromDeg, venue.orientation);
+    const factors = status === 'likely_closed' ? []
+      : (sport === 'MLB' ? baseballFactors : footballFactors)(conditions, components)
+        .map(f => ({ ...f, adjustment: round(f.adjustment) }));
+    const adjustment = round(factors.reduce((sum, f) => sum + f.adjustment, 0));
+
+    return {
+      ...base,
+      available: true,
+      venue: venueInfo,
+      roofStatus: status,
+      conditions,
+      wind: {
+        speedMph: conditions.windMph,
+        gustMph: conditions.windGustMph ?? null,
+        fromDeg: conditions.windFromDeg,
+        ...components,
+        relative: describeWind(sport, conditions.windMph, components)
+      },
+      factors,
+      adjustment,
+      marketTotal: total,
+      adjustedTotal: total != null ? round(total + adjustment) : null,
+      material: Math.abs(adjustment) >= MATERIAL_ADJUSTMENT[sport],
+      // Heavy rain threatens a delay or postponement in baseball
+      postponementRisk: sport === 'MLB' && status !== 'likely_closed' && conditions.precipProbability >= 70
+    };
+  }
+
+  async function forSport(sport, { now } = {}) {
+    const events = await odds.getEvents(sport);
+    const reports = [];
+    for (const event of events) reports.push(await forEvent(sport, event, { now }));
+    return reports;
+  }
+
+  // Attaches `weather` to picks in outdoor sports, with the edge impact on totals.
+  // Events come from the odds cache, so this doesn't spend odds quota.
+  async function annotatePicks(picks) {
+    const reports = new Map();
+    for (const pick of picks) {
+      if (!WEATHER_SPORTS.includes(pick.sport)) continue;
+      if (!reports.has(pick.eventId)) {
+        const event = (await odds.getEvents(pick.sport)).find(e => e.id === pick.eventId);
+        reports.set(pick.eventId, event ? await forEvent(pick.sport, event) : null);
+      }
+      const report = reports.get(pick.eventId);
+      if (!report?.available) continue;
+      pick.weather = {
+        roofStatus: report.roofStatus,
+        wind: report.wind || null,
+        temperatureF: report.conditions?.temperatureF ?? null,
+        precipProbability: report.conditions?.precipProbability ?? null,
+        adjustment: report.adjustment,
+        adjustedTotal: report.adjustedTotal,
+        impact: pickImpact(pick, report)
+      };
+    }
+    return picks;
+  }
+
+  return { provider: provider.name, forEvent, forSport, annotatePicks };
+}
+
+module.exports = {
+  WEATHER_SPORTS,
+  createWeatherProvider,
+  loadVenues,
+  windComponents,
+  marketTotal,
+  pickImpact,
+  createWeatherService
+};